@@ -14,115 +14,268 @@ import { fileURLToPath } from 'node:url';
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+// Keyword weights, page weights and thresholds (see scoring.json)
+const SCORING = JSON.parse(fs.readFileSync(path.join(__dirname, 'scoring.json'), 'utf8'));
+
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
 /**
- * Classification thresholds
+ * Weight of a page by the kind of page its URL suggests
+ *
+ * Pricing/features pages describe the product; a blog post that mentions
+ * ketamine once says much less.
  */
-const THRESHOLDS = {
-  // Ketamine-specific: strong ketamine evidence
-  ketamine_specific: {
-    ketamine_mentions: 5,
-    required_keywords: ['ketamine', 'infusion'],
-  },
-  // Ketamine-compatible: some ketamine OR strong psychiatry focus
-  ketamine_compatible: {
-    ketamine_mentions: 1,
-    psychiatry_mentions: 3,
-  },
-};
+export function pageWeight(url) {
+  let pathname;
+  try {
+    pathname = new URL(url).pathname.toLowerCase();
+  } catch {
+    return SCORING.defaultPageWeight;
+  }
+  if (pathname === '/' || pathname === '') return SCORING.pageWeights.home;
+
+  const segments = pathname.split(/[^a-z0-9]+/).filter(Boolean);
+  const weights = Object.entries(SCORING.pageWeights)
+    .filter(([key]) => key !== 'home' && segments.includes(key))
+    .map(([, weight]) => weight);
+
+  // A blog post under /solutions/ is still a blog post: the lowest weight wins
+  return weights.length > 0 ? Math.min(...weights) : SCORING.defaultPageWeight;
+}
+
+/**
+ * Points for one keyword group: weight x page-weighted mentions, with
+ * mentions per keyword capped so one repetitive page can't dominate
+ *
+ * @returns {{ points: number, factors: object[] }}
+ */
+function scoreGroup(evidence, weights, group) {
+  const factors = [];
+  let points = 0;
+
+  for (const match of evidence?.matches || []) {
+    const weight = weights[match.keyword.toLowerCase()] ?? 1;
+    // Reports without per-page counts count every mention at weight 1
+    const pages = match.pages || [{ url: null, count: match.count }];
+    const weighted = pages.reduce((sum, page) => sum + page.count * (page.url ? pageWeight(page.url) : 1), 0);
+    const keywordPoints = weight * Math.min(weighted, SCORING.mentionCap);
+
+    points += keywordPoints;
+    factors.push({
+      signal: group,
+      keyword: match.keyword,
+      mentions: match.count,
+      pages: pages.length,
+      points: round2(keywordPoints),
+    });
+  }
+
+  return { points, factors };
+}
+
+/**
+ * Score a verification report
+ *
+ * confidence (0-1) = (ketamine + psychiatryFactor x psychiatry - negative) / saturation,
+ * clamped. Ketamine keywords found only on blog/news pages lose
+ * blogOnlyPenalty of their points on top of the page weighting.
+ *
+ * @returns {{ confidence: number, hasCoreKeyword: boolean, factors: object[] }}
+ */
+export function scoreVerification(verificationReport) {
+  const ketamine = scoreGroup(verificationReport.ketamine_evidence, SCORING.keywords.ketamine, 'ketamine');
+  const psychiatry = scoreGroup(verificationReport.psychiatry_evidence, SCORING.keywords.psychiatry, 'psychiatry');
+  const negative = scoreGroup(verificationReport.negative_evidence, SCORING.keywords.negative, 'negative');
+
+  const factors = [
+    ...ketamine.factors,
+    ...psychiatry.factors.map((f) => ({ ...f, points: round2(f.points * SCORING.psychiatryFactor) })),
+    ...negative.factors.map((f) => ({ ...f, points: -f.points })),
+  ];
+
+  const coreMatches = (verificationReport.ketamine_evidence?.matches || []).filter((m) =>
+    SCORING.coreKeywords.includes(m.keyword.toLowerCase())
+  );
+  const corePages = coreMatches.flatMap((m) => m.pages || []);
+  let blogPenalty = 0;
+  if (corePages.length > 0 && corePages.every((page) => pageWeight(page.url) < SCORING.defaultPageWeight)) {
+    blogPenalty = ketamine.points * SCORING.blogOnlyPenalty;
+    factors.push({ signal: 'negative', keyword: 'ketamine only on blog/news pages', mentions: corePages.reduce((sum, page) => sum + page.count, 0), pages: corePages.length, points: -round2(blogPenalty) });
+  }
+
+  const raw = ketamine.points + psychiatry.points * SCORING.psychiatryFactor - negative.points - blogPenalty;
+  const confidence = round2(Math.max(0, Math.min(1, raw / SCORING.saturation)));
+
+  return {
+    confidence,
+    hasCoreKeyword: coreMatches.length > 0,
+    factors: factors.filter((f) => f.points !== 0).sort((a, b) => Math.abs(b.points) - Math.abs(a.points)),
+  };
+}
+
+function describeFactors(factors, limit = 3) {
+  return factors
+    .slice(0, limit)
+    .map((f) => `${f.keyword} ${f.points > 0 ? '+' : ''}${f.points}`)
+    .join(', ');
+}
 
 /**
  * Classify a vendor based on verification report
+ *
+ * The confidence score from scoreVerification() drives the class:
+ * ketamine_specific needs the ketamine_specific threshold and a core keyword
+ * (ketamine, SPRAVATO, esketamine); ketamine_compatible needs the lower
+ * threshold; anything else is general_ehr. Contributing factors are listed
+ * in the result.
  */
 export function classifyVendor(verificationReport) {
-  const { ketamine_evidence, psychiatry_evidence, website_live } = verificationReport;
+  const { website_live } = verificationReport;
 
   // Can't classify if website is down
   if (!website_live) {
     return {
       classification: 'unknown',
       reason: 'Website unavailable for verification',
-      confidence: 'low',
+      confidence: 0,
+      factors: [],
     };
   }
 
-  const ketamineCount = ketamine_evidence?.count || 0;
-  const psychiatryCount = psychiatry_evidence?.count || 0;
-
-  // Check for ketamine-specific keywords
-  const hasKetamineKeyword = ketamine_evidence?.matches?.some(
-    (m) => m.keyword === 'ketamine' || m.keyword === 'spravato' || m.keyword === 'esketamine'
-  );
-
-  const hasInfusionKeyword = ketamine_evidence?.matches?.some(
-    (m) =>
-      m.keyword.includes('infusion') ||
-      m.keyword.includes('iv ') ||
-      m.keyword.includes('im ')
-  );
+  const { confidence, hasCoreKeyword, factors } = scoreVerification(verificationReport);
+  const { thresholds } = SCORING;
+  const ketamineMentions = verificationReport.ketamine_evidence?.count || 0;
+  const psychiatryMentions = verificationReport.psychiatry_evidence?.count || 0;
+  const evidence = {
+    ketamine_mentions: ketamineMentions,
+    psychiatry_mentions: psychiatryMentions,
+    negative_mentions: verificationReport.negative_evidence?.count || 0,
+  };
 
-  // Classification logic
-  if (ketamineCount >= THRESHOLDS.ketamine_specific.ketamine_mentions && hasKetamineKeyword) {
+  if (confidence >= thresholds.ketamine_specific && hasCoreKeyword) {
     return {
       classification: 'ketamine_specific',
-      reason: `Found ${ketamineCount} ketamine-related mentions with specific keywords`,
-      confidence: 'high',
-      evidence: {
-        ketamine_mentions: ketamineCount,
-        psychiatry_mentions: psychiatryCount,
-        keywords: ketamine_evidence.matches,
-      },
+      reason: `Ketamine score ${confidence} (${describeFactors(factors)})`,
+      confidence,
+      factors,
+      evidence,
     };
   }
 
-  if (
-    ketamineCount >= THRESHOLDS.ketamine_compatible.ketamine_mentions ||
-    psychiatryCount >= THRESHOLDS.ketamine_compatible.psychiatry_mentions
-  ) {
+  if (confidence >= thresholds.ketamine_compatible) {
     return {
       classification: 'ketamine_compatible',
       reason:
-        ketamineCount > 0
-          ? `Found ${ketamineCount} ketamine mention(s) - may support ketamine workflows`
-          : `Found ${psychiatryCount} psychiatry/behavioral health mentions - compatible with mental health practices`,
-      confidence: ketamineCount > 0 ? 'medium' : 'low',
-      evidence: {
-        ketamine_mentions: ketamineCount,
-        psychiatry_mentions: psychiatryCount,
-        keywords: [...(ketamine_evidence?.matches || []), ...(psychiatry_evidence?.matches || [])],
-      },
+        ketamineMentions > 0
+          ? `Ketamine score ${confidence} (${describeFactors(factors)}) - may support ketamine workflows`
+          : `Ketamine score ${confidence} from psychiatry/behavioral health evidence (${describeFactors(factors)}) - compatible with mental health practices`,
+      confidence,
+      factors,
+      evidence,
     };
   }
 
   return {
     classification: 'general_ehr',
-    reason: 'No ketamine or psychiatry-specific evidence found',
-    confidence: 'high',
-    evidence: {
-      ketamine_mentions: ketamineCount,
-      psychiatry_mentions: psychiatryCount,
-    },
+    reason:
+      factors.length > 0
+        ? `Ketamine score ${confidence} below ${thresholds.ketamine_compatible} (${describeFactors(factors)})`
+        : 'No ketamine or psychiatry-specific evidence found',
+    confidence,
+    factors,
+    evidence,
   };
 }
 
+/**
+ * Evidence keywords for each ketamine feature (matched against the keywords
+ * found during verification)
+ */
+const FEATURE_KEYWORDS = {
+  iv_protocols: ['iv infusion', 'infusion protocol', 'infusion clinic'],
+  im_protocols: ['im injection', 'intramuscular'],
+  spravato_workflows: ['spravato', 'rems', 'esketamine'],
+  outcome_tracking: ['outcome tracking', 'outcome measure', 'phq-9', 'gad-7'],
+  patient_rating_scales: ['rating scale', 'phq', 'gad', 'questionnaire'],
+  ketamine_consent_forms: ['consent form', 'informed consent'],
+  treatment_series_tracking: ['treatment series', 'session tracking', 'infusion series'],
+};
+
+const FEATURE_LABELS = {
+  iv_protocols: 'IV protocols',
+  im_protocols: 'IM protocols',
+  spravato_workflows: 'SPRAVATO workflows',
+  outcome_tracking: 'Outcome tracking',
+  patient_rating_scales: 'Patient rating scales',
+  ketamine_consent_forms: 'Ketamine consent forms',
+  treatment_series_tracking: 'Treatment series tracking',
+};
+
+function evidenceMatches(verificationReport) {
+  const { ketamine_evidence, psychiatry_evidence } = verificationReport;
+  return [...(ketamine_evidence?.matches || []), ...(psychiatry_evidence?.matches || [])];
+}
+
+function matchesFeature(match, feature) {
+  return FEATURE_KEYWORDS[feature].some((k) => match.keyword.toLowerCase().includes(k));
+}
+
 /**
  * Determine ketamine features based on verification evidence
  */
 export function inferKetamineFeatures(verificationReport) {
-  const { ketamine_evidence } = verificationReport;
-  const matches = ketamine_evidence?.matches || [];
+  const matches = evidenceMatches(verificationReport);
 
-  const hasKeyword = (keywords) =>
-    matches.some((m) => keywords.some((k) => m.keyword.toLowerCase().includes(k)));
+  return Object.fromEntries(
+    Object.keys(FEATURE_KEYWORDS).map((feature) => [feature, matches.some((m) => matchesFeature(m, feature))])
+  );
+}
 
-  return {
-    iv_protocols: hasKeyword(['iv infusion', 'infusion protocol', 'infusion clinic']),
-    im_protocols: hasKeyword(['im injection', 'intramuscular']),
-    spravato_workflows: hasKeyword(['spravato', 'rems', 'esketamine']),
-    outcome_tracking: hasKeyword(['outcome tracking', 'outcome measure', 'phq-9', 'gad-7']),
-    patient_rating_scales: hasKeyword(['rating scale', 'phq', 'gad', 'questionnaire']),
-    ketamine_consent_forms: hasKeyword(['consent form', 'informed consent']),
-    treatment_series_tracking: hasKeyword(['treatment series', 'session tracking', 'infusion series']),
-  };
+/**
+ * Strongest evidence snippets for each inferred feature
+ *
+ * A snippet is stronger the more distinct evidence keywords it mentions, so
+ * "IV infusion charting for ketamine clinics" beats a lone "ketamine" in a
+ * footer. Ties keep verification order (homepage first).
+ *
+ * @param {object} verificationReport
+ * @param {number} limit - Snippets per feature
+ * @returns {Object<string, { url: string, text: string }[]>} Keyed by feature; only inferred features
+ */
+export function featureEvidence(verificationReport, limit = 2) {
+  const matches = evidenceMatches(verificationReport);
+  const allKeywords = matches.map((m) => m.keyword.toLowerCase());
+  const strength = (text) => allKeywords.filter((k) => text.toLowerCase().includes(k)).length;
+
+  const evidence = {};
+  for (const feature of Object.keys(FEATURE_KEYWORDS)) {
+    const seen = new Set();
+    const snippets = matches
+      .filter((m) => matchesFeature(m, feature))
+      .flatMap((m) => m.snippets || [])
+      .filter((s) => !seen.has(s.text) && seen.add(s.text))
+      .map((s, index) => ({ ...s, index, strength: strength(s.text) }))
+      .sort((a, b) => b.strength - a.strength || a.index - b.index)
+      .slice(0, limit)
+      .map(({ url, text }) => ({ url, text }));
+
+    if (snippets.length > 0) evidence[feature] = snippets;
+  }
+
+  return evidence;
+}
+
+/**
+ * Evidence as one line per feature, e.g. for verification notes
+ * @returns {string[]}
+ */
+export function formatFeatureEvidence(evidence) {
+  return Object.entries(evidence).map(
+    ([feature, snippets]) =>
+      `${FEATURE_LABELS[feature]}: ${snippets.map((s) => `"${s.text}" (${s.url})`).join('; ')}`
+  );
 }
 
 /**
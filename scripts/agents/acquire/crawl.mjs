@@ -0,0 +1,325 @@
+/**
+ * Vendor Site Crawling Helpers
+ *
+ * Decides which pages of a vendor website the verification agent reads.
+ * Pages come from the vendor's sitemap.xml (located through robots.txt,
+ * falling back to /sitemap.xml) plus the links on the homepage, and are
+ * ranked by keywords in their URL path and link text.
+ *
+ * robots.txt is honored: disallowed URLs are never fetched and the
+ * crawl delay for our user agent (or *) is kept between requests.
+ */
+
+import { httpFetch, politeDelay } from '../http.mjs';
+
+// Token matched against robots.txt User-agent lines
+const ROBOTS_AGENT = 'ketaminesoftwaredirectory';
+
+// Keywords that make a page worth reading, with their weight
+const PAGE_KEYWORDS = {
+  ketamine: 5,
+  spravato: 5,
+  esketamine: 5,
+  pricing: 4,
+  plans: 2,
+  psychiatry: 3,
+  psychiatric: 3,
+  'behavioral health': 3,
+  'mental health': 3,
+  features: 2,
+  solutions: 1,
+};
+
+// Sitemap limits (sitemap indexes of large vendors list thousands of URLs)
+const MAX_SITEMAPS = 5;
+const MAX_SITEMAP_URLS = 2000;
+
+// Delay between requests when robots.txt doesn't set one (seconds)
+const DEFAULT_CRAWL_DELAY = 1;
+
+const NON_HTML = /\.(?:pdf|jpe?g|png|gif|svg|webp|zip|mp4|mp3|css|js|xml|gz)$/i;
+
+/**
+ * Fetch a URL as text (through the agent HTTP layer, so it can be replayed)
+ * @returns {Promise<{ ok: boolean, status: number, url: string, text: string|null }>}
+ */
+export function fetchText(url, timeoutMs = 15000) {
+  return httpFetch(url, { timeoutMs });
+}
+
+/**
+ * Text around a match (from start to end), cut at word boundaries
+ *
+ * Line breaks between page blocks are flattened to spaces in the snippet.
+ */
+export function textSnippet(text, start, end, context = 80) {
+  const flat = text.replace(/\n/g, ' ');
+  let from = Math.max(0, start - context);
+  let to = Math.min(flat.length, end + context);
+  if (from > 0) from = flat.indexOf(' ', from) + 1 || from;
+  if (to < flat.length) to = flat.lastIndexOf(' ', to) > end ? flat.lastIndexOf(' ', to) : to;
+
+  return `${from > 0 ? '…' : ''}${flat.slice(from, to).trim()}${to < flat.length ? '…' : ''}`;
+}
+
+function escapeRegex(value) {
+  return value.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Parse robots.txt into the rule group that applies to us
+ *
+ * Uses the group naming our agent if there is one, otherwise `*`.
+ *
+ * @returns {{ rules: { allow: boolean, path: string }[], crawlDelay: number|null, sitemaps: string[] }}
+ */
+export function parseRobots(text) {
+  const groups = [];
+  const sitemaps = [];
+  let current = null;
+  let lastWasAgent = false;
+
+  for (const rawLine of (text || '').split(/\r?\n/)) {
+    const line = rawLine.replace(/#.*$/, '').trim();
+    const separator = line.indexOf(':');
+    if (separator === -1) continue;
+
+    const field = line.slice(0, separator).trim().toLowerCase();
+    const value = line.slice(separator + 1).trim();
+
+    if (field === 'sitemap') {
+      if (value) sitemaps.push(value);
+      continue;
+    }
+
+    if (field === 'user-agent') {
+      // Consecutive User-agent lines share one group
+      if (!lastWasAgent) {
+        current = { agents: [], rules: [], crawlDelay: null };
+        groups.push(current);
+      }
+      current.agents.push(value.toLowerCase());
+      lastWasAgent = true;
+      continue;
+    }
+
+    lastWasAgent = false;
+    if (!current) continue;
+
+    if (field === 'allow' || field === 'disallow') {
+      // An empty Disallow allows everything
+      if (value) current.rules.push({ allow: field === 'allow', path: value });
+    } else if (field === 'crawl-delay') {
+      const delay = parseFloat(value);
+      if (Number.isFinite(delay) && delay >= 0) current.crawlDelay = delay;
+    }
+  }
+
+  const group =
+    groups.find((g) => g.agents.some((a) => a !== '*' && ROBOTS_AGENT.includes(a))) ||
+    groups.find((g) => g.agents.includes('*'));
+
+  return {
+    rules: group?.rules || [],
+    crawlDelay: group?.crawlDelay ?? null,
+    sitemaps,
+  };
+}
+
+/**
+ * Whether robots rules allow a URL path (longest match wins, Allow wins ties)
+ */
+export function isPathAllowed(rules, pathWithQuery) {
+  let best = null;
+
+  for (const rule of rules) {
+    const pattern = rule.path.endsWith('$')
+      ? `^${escapeRegex(rule.path.slice(0, -1)).replace(/\*/g, '.*')}$`
+      : `^${escapeRegex(rule.path).replace(/\*/g, '.*')}`;
+    if (!new RegExp(pattern).test(pathWithQuery)) continue;
+
+    if (
+      !best ||
+      rule.path.length > best.path.length ||
+      (rule.path.length === best.path.length && rule.allow)
+    ) {
+      best = rule;
+    }
+  }
+
+  return best ? best.allow : true;
+}
+
+/**
+ * Load robots.txt for a site and return a crawl policy
+ *
+ * `wait()` must be awaited before every request to the site; it keeps the
+ * crawl delay between requests.
+ */
+export async function loadSitePolicy(origin) {
+  const response = await fetchText(new URL('/robots.txt', origin).toString(), 10000);
+  const robots = parseRobots(response.ok ? response.text : '');
+  const crawlDelay = robots.crawlDelay ?? DEFAULT_CRAWL_DELAY;
+  let lastRequest = Date.now();
+
+  return {
+    origin,
+    robotsFound: response.ok,
+    crawlDelay,
+    sitemaps: robots.sitemaps,
+    isAllowed(url) {
+      const parsed = new URL(url);
+      return isPathAllowed(robots.rules, parsed.pathname + parsed.search);
+    },
+    async wait() {
+      const remaining = lastRequest + crawlDelay * 1000 - Date.now();
+      await politeDelay(remaining);
+      lastRequest = Date.now();
+    },
+  };
+}
+
+function sameSite(url, origin) {
+  try {
+    const strip = (host) => host.replace(/^www\./, '');
+    return strip(new URL(url).hostname) === strip(new URL(origin).hostname);
+  } catch {
+    return false;
+  }
+}
+
+function decodeEntities(value) {
+  return value
+    .replace(/&amp;/g, '&')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;|&apos;/g, "'");
+}
+
+/**
+ * Collect page URLs from the site's sitemaps, following sitemap indexes
+ *
+ * @returns {Promise<{ sitemaps: string[], urls: string[] }>} Sitemaps read and page URLs found
+ */
+export async function loadSitemapUrls(policy) {
+  const queue = policy.sitemaps.length > 0
+    ? policy.sitemaps.filter((url) => sameSite(url, policy.origin))
+    : [new URL('/sitemap.xml', policy.origin).toString()];
+  const read = [];
+  const urls = new Set();
+
+  while (queue.length > 0 && read.length < MAX_SITEMAPS && urls.size < MAX_SITEMAP_URLS) {
+    const sitemapUrl = queue.shift();
+    if (sitemapUrl.endsWith('.gz')) continue;
+
+    await policy.wait();
+    const response = await fetchText(sitemapUrl);
+    if (!response.ok || !response.text) continue;
+    read.push(sitemapUrl);
+
+    const locs = [...response.text.matchAll(/<loc>\s*([^<]+?)\s*<\/loc>/gi)].map((m) => decodeEntities(m[1]));
+
+    if (/<sitemapindex[\s>]/i.test(response.text)) {
+      // Read the child sitemaps most likely to hold product pages first
+      const children = locs
+        .filter((url) => sameSite(url, policy.origin))
+        .sort((a, b) => scoreText(urlWords(b)) - scoreText(urlWords(a)) || /page/i.test(b) - /page/i.test(a));
+      queue.push(...children);
+      continue;
+    }
+
+    for (const loc of locs) {
+      if (urls.size >= MAX_SITEMAP_URLS) break;
+      if (sameSite(loc, policy.origin)) urls.add(loc);
+    }
+  }
+
+  return { sitemaps: read, urls: [...urls] };
+}
+
+/**
+ * Links on a page, with their link text
+ * @returns {{ url: string, text: string }[]}
+ */
+export function extractLinks(html, baseUrl) {
+  const links = [];
+
+  for (const match of (html || '').matchAll(/<a\s[^>]*href\s*=\s*["']([^"'#]+)[^"']*["'][^>]*>([\s\S]*?)<\/a>/gi)) {
+    try {
+      const url = new URL(decodeEntities(match[1]), baseUrl).toString();
+      const text = match[2].replace(/<[^>]+>/g, ' ').replace(/\s+/g, ' ').trim();
+      links.push({ url, text });
+    } catch {
+      // Ignore unparseable hrefs (javascript:, malformed)
+    }
+  }
+
+  return links;
+}
+
+function urlWords(url) {
+  try {
+    return new URL(url).pathname.toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+  } catch {
+    return '';
+  }
+}
+
+function matchedKeywords(text) {
+  return Object.keys(PAGE_KEYWORDS).filter((keyword) =>
+    new RegExp(`\\b${escapeRegex(keyword).replace(/ /g, '\\s+')}\\b`, 'i').test(text)
+  );
+}
+
+function scoreText(text) {
+  return matchedKeywords(text).reduce((sum, keyword) => sum + PAGE_KEYWORDS[keyword], 0);
+}
+
+/**
+ * Pick the pages to analyze from sitemap URLs and homepage links
+ *
+ * Candidates must be on the vendor's site, look like HTML pages and match at
+ * least one page keyword in their path or link text. Disallowed URLs are
+ * reported separately and never selected. Ties go to shallower paths.
+ *
+ * @param {{ url: string, text?: string, source: string }[]} candidates
+ * @returns {{ selected: { url: string, score: number, keywords: string[], source: string }[], disallowed: string[] }}
+ */
+export function selectPages(candidates, policy, limit, exclude = []) {
+  const byUrl = new Map();
+
+  for (const candidate of candidates) {
+    if (!sameSite(candidate.url, policy.origin)) continue;
+
+    const parsed = new URL(candidate.url);
+    parsed.hash = '';
+    const url = parsed.toString();
+    if (NON_HTML.test(parsed.pathname) || exclude.includes(url)) continue;
+
+    const keywords = matchedKeywords(`${urlWords(url)} ${candidate.text || ''}`);
+    if (keywords.length === 0) continue;
+
+    const score = keywords.reduce((sum, keyword) => sum + PAGE_KEYWORDS[keyword], 0);
+    const existing = byUrl.get(url);
+    if (!existing || score > existing.score) {
+      byUrl.set(url, { url, score, keywords, source: candidate.source, depth: parsed.pathname.split('/').filter(Boolean).length });
+    }
+  }
+
+  const ranked = [...byUrl.values()].sort((a, b) => b.score - a.score || a.depth - b.depth || a.url.localeCompare(b.url));
+  const selected = [];
+  const disallowed = [];
+
+  for (const page of ranked) {
+    if (selected.length >= limit) break;
+    if (!policy.isAllowed(page.url)) {
+      disallowed.push(page.url);
+      continue;
+    }
+    const { depth, ...rest } = page;
+    selected.push(rest);
+  }
+
+  return { selected, disallowed };
+}
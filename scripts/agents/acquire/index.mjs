@@ -7,13 +7,33 @@
  * 2. Verification of vendor claims
  * 3. Classification of software type
  * 4. Generation of new software entries
+ *
+ * Usage:
+ *   node scripts/agents/acquire/index.mjs [--verify-only] [--fetch=live|record|replay] [--fixtures=<dir>]
+ *   node scripts/agents/acquire/index.mjs promote <slug>
+ *   node scripts/agents/acquire/index.mjs reject <slug> --reason="..."
+ *
+ * promote turns a candidate from data/acquire/new-vendors.json into a draft
+ * software entry; reject drops it and keeps it out of later runs (see
+ * promote.mjs).
+ *
+ * --fetch=record saves every page fetched under scripts/agents/fixtures/http/;
+ * --fetch=replay runs offline from those fixtures (see ../http.mjs).
  */
 
 import fs from 'node:fs';
 import path from 'node:path';
 import { fileURLToPath } from 'node:url';
-import { verifyVendor, verifyAllVendors } from './verify.mjs';
-import { classifyVendor, classifyAllVendors } from './classify.mjs';
+import { verifyVendor, verifyAllVendors, saveVerificationReport } from './verify.mjs';
+import { configureFetchFromArgs, politeDelay } from '../http.mjs';
+import { promoteVendor, rejectVendor, loadRejected } from './promote.mjs';
+import {
+  classifyVendor,
+  classifyAllVendors,
+  inferKetamineFeatures,
+  featureEvidence,
+  formatFeatureEvidence,
+} from './classify.mjs';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -118,9 +138,17 @@ function generateSlug(name) {
 
 /**
  * Generate a new software entry from discovered vendor
+ *
+ * Verification notes cite the strongest evidence snippet for each inferred
+ * ketamine feature so reviewers can check it without re-crawling.
  */
-function generateSoftwareEntry(vendor, verificationReport, classification) {
+function generateSoftwareEntry(vendor, verificationReport, classification, evidence = {}) {
   const slug = generateSlug(vendor.name);
+  const pricingFound = verificationReport.pricing_found;
+  const pricingEvidence = pricingFound?.evidence[0];
+  const evidenceLines = formatFeatureEvidence(
+    Object.fromEntries(Object.entries(evidence).map(([feature, snippets]) => [feature, snippets.slice(0, 1)]))
+  );
 
   return {
     name: vendor.name,
@@ -135,14 +163,15 @@ function generateSoftwareEntry(vendor, verificationReport, classification) {
       currency: 'USD',
       has_free_trial: false,
       billing_cycle: 'monthly',
-      notes: 'Contact for pricing',
+      ...pricingFound?.pricing,
+      notes: pricingEvidence ? `Extracted from ${pricingEvidence.url}: "${pricingEvidence.text}"` : 'Contact for pricing',
     },
     verification: {
       status: 'needs_review',
       last_verified: new Date().toISOString().split('T')[0],
       verified_by: 'agent',
-      source_urls: [vendor.website],
-      notes: `Auto-discovered. ${classification.reason}`,
+      source_urls: verificationReport.pages_analyzed?.length ? verificationReport.pages_analyzed : [vendor.website],
+      notes: [`Auto-discovered. ${classification.reason}.`, ...evidenceLines].join(' '),
     },
     ketamine_features: classification.inferred_features || {
       iv_protocols: false,
@@ -179,6 +208,7 @@ async function runAcquisition(options = {}) {
   if (verifyOnly) {
     console.log('Running verification on existing vendors...\n');
     const verificationResults = await verifyAllVendors();
+    saveVerificationReport(verificationResults);
     const classifications = await classifyAllVendors();
 
     return {
@@ -195,7 +225,8 @@ async function runAcquisition(options = {}) {
     // Merge and deduplicate
     const allDiscovered = [...g2Vendors, ...capterraVendors];
 
-    // Filter out existing vendors
+    // Filter out existing and previously rejected vendors
+    const rejectedVendors = loadRejected();
     const newVendors = [];
     for (const vendor of allDiscovered) {
       if (!vendor.website) {
@@ -209,6 +240,12 @@ async function runAcquisition(options = {}) {
         continue;
       }
 
+      const rejectedCheck = vendorExists(vendor, rejectedVendors);
+      if (rejectedCheck.exists) {
+        console.log(`Skipping ${vendor.name}: rejected earlier (${rejectedCheck.existing})`);
+        continue;
+      }
+
       // Check against already-added new vendors
       const existsInNew = vendorExists(vendor, newVendors);
       if (existsInNew.exists) {
@@ -228,6 +265,7 @@ async function runAcquisition(options = {}) {
 
     // 4. Verify and classify each new vendor
     const newEntries = [];
+    const evidenceBySlug = {};
 
     for (const vendor of newVendors) {
       console.log(`\nProcessing: ${vendor.name}`);
@@ -236,17 +274,22 @@ async function runAcquisition(options = {}) {
       const verificationReport = await verifyVendor(vendor);
 
       // Classify
-      const classification = classifyVendor(verificationReport);
+      const classification = {
+        ...classifyVendor(verificationReport),
+        inferred_features: inferKetamineFeatures(verificationReport),
+      };
+      const evidence = featureEvidence(verificationReport);
 
       // Generate entry
-      const entry = generateSoftwareEntry(vendor, verificationReport, classification);
+      const entry = generateSoftwareEntry(vendor, verificationReport, classification, evidence);
       newEntries.push(entry);
+      evidenceBySlug[entry.slug] = evidence;
 
       console.log(`  Classification: ${classification.classification}`);
       console.log(`  Reason: ${classification.reason}`);
 
       // Rate limit
-      await new Promise((resolve) => setTimeout(resolve, 2000));
+      await politeDelay(2000);
     }
 
     // 5. Save new entries
@@ -257,7 +300,12 @@ async function runAcquisition(options = {}) {
     console.log(`\n${newEntries.length} new vendor entries saved to: ${outputPath}`);
 
     // 6. Summary for PR
-    const summary = newEntries.map((e) => `- ${e.name} (${e.software_type})`).join('\n');
+    const summary = newEntries
+      .map((e) => {
+        const evidence = formatFeatureEvidence(evidenceBySlug[e.slug]).map((line) => `  - ${line}`);
+        return [`- ${e.name} (${e.software_type})`, ...evidence].join('\n');
+      })
+      .join('\n');
     fs.writeFileSync(path.join(ACQUIRE_DIR, 'summary.md'), `## New Vendors Discovered\n\n${summary}`);
 
     return {
@@ -275,7 +323,36 @@ async function runAcquisition(options = {}) {
  */
 async function main() {
   const args = process.argv.slice(2);
+  const [command, slug] = args;
+
+  if (command === 'promote' || command === 'reject') {
+    if (!slug || slug.startsWith('--')) {
+      console.error(`Usage: node scripts/agents/acquire/index.mjs ${command} <slug>${command === 'reject' ? ' --reason="..."' : ''}`);
+      process.exit(1);
+    }
+
+    try {
+      if (command === 'promote') {
+        const { mapping, contact } = promoteVendor(slug);
+        console.log(`\n✓ Promoted ${slug} (verification.status: needs_review)`);
+        console.log(`  ${mapping ? '✓ Added' : '⚠ Kept existing'} vendor-mappings.json entry`);
+        console.log(`  ${contact ? '✓ Added' : '⚠ Kept existing'} contacts.json entry`);
+        console.log('\nFill in the listing, then run npm run validate and npm run mappings:suggestions.');
+      } else {
+        const reason = args.find((a) => a.startsWith('--reason='))?.slice('--reason='.length);
+        const entry = rejectVendor(slug, reason);
+        console.log(`✓ Rejected ${entry.name}: ${entry.reason}`);
+      }
+    } catch (error) {
+      console.error(`✗ ${error.message}`);
+      process.exit(1);
+    }
+    return;
+  }
+
   const verifyOnly = args.includes('--verify-only');
+  const fetchMode = configureFetchFromArgs(args);
+  if (fetchMode !== 'live') console.log(`Fetch mode: ${fetchMode}\n`);
 
   const result = await runAcquisition({ verifyOnly });
 
@@ -285,7 +362,10 @@ async function main() {
 
 // Run if called directly
 if (process.argv[1] === fileURLToPath(import.meta.url)) {
-  main().catch(console.error);
+  main().catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
 }
 
 export { runAcquisition, loadExistingVendors, vendorExists };
@@ -0,0 +1,257 @@
+/**
+ * Pricing Extraction
+ *
+ * Turns prices found on vendor pages into the `pricing` shape used by the
+ * software content files (model, starting_price, currency, billing_cycle,
+ * has_free_trial) and compares it with a listing's current pricing.
+ *
+ * Differences become proposed patches with the page URL and snippet they
+ * came from; they are never applied automatically. The verify run writes
+ * them to data/pricing-drift.json and data/pricing-drift.md.
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { textSnippet } from './crawl.mjs';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const DATA_DIR = path.join(__dirname, '../../../data');
+const DRIFT_JSON_PATH = path.join(DATA_DIR, 'pricing-drift.json');
+const DRIFT_MD_PATH = path.join(DATA_DIR, 'pricing-drift.md');
+
+// Characters read after / before a price to find its unit and billing period
+const AFTER_WINDOW = 60;
+const BEFORE_WINDOW = 40;
+
+const PRICE_PATTERN = /\$\s?(\d{1,3}(?:,\d{3})*|\d+)(\.\d{2})?(?!\d)/g;
+
+// "$2M in revenue", "$10k saved" - not prices
+const MAGNITUDE = /^\s*(?:k|m|b|mm|million|billion|thousand)\b/i;
+
+// No \b before "/": "$75/user/month" has no word boundary there
+const PER_CLINICIAN = /(?:\bper|\/|\ba|\beach)\s*(?:provider|clinician|practitioner|prescriber|user|seat|license|doctor)s?\b/i;
+const FLAT = /(?:\bper|\/|\ba)\s*(?:practice|clinic|location|account|organization)\b|\bunlimited (?:providers|users)\b/i;
+const MONTHLY = /(?:\/|\bper\s+|\ba\s+)\s*(?:mo|month)\b|\bmonthly\b/i;
+const ANNUAL = /(?:\/|\bper\s+|\ba\s+)\s*(?:yr|year)\b|\b(?:annually|yearly)\b/i;
+const BILLED_ANNUALLY = /\bbilled\s+(?:annually|yearly)\b/i;
+const STARTING = /\b(?:starting|starts|from|as low as)\b/i;
+
+// Add-on and extra-seat prices ("Add clinicians for $59/mo", "$20 per
+// additional user") sit on top of a plan and are never the starting price
+const ADD_ON_BEFORE = /\b(?:add(?:s|ing)?|add-ons?|additional|extra)\b/i;
+const ADD_ON_AFTER = /^[^.,;\n]*?\b(?:additional|extra)\b/i;
+
+// Currency written next to the "$" ("CAD $54", "C$54", "$54 USD"); a bare
+// "$" is ambiguous and detects nothing
+const CURRENCY_BEFORE = /\b(CAD|CA|C|USD|US|AUD|AU|A|NZD|NZ)\s?\$$/i;
+const CURRENCY_AFTER = /^(?:\.\d{2})?\s*(CAD|USD|AUD|NZD)\b/i;
+const CURRENCY_CODES = { C: 'CAD', CA: 'CAD', US: 'USD', A: 'AUD', AU: 'AUD', NZ: 'NZD' };
+
+const FREE_TRIAL = /\bfree\s+(?:\d+[-\s]day\s+)?trial\b|\btry\s+(?:it\s+)?(?:for\s+)?free\b/i;
+const PRICING_PAGE = /pric|plans/i;
+const QUOTE_ONLY = /\b(?:contact (?:us|sales) for pricing|request (?:a )?(?:quote|pricing)|custom pricing|get a quote)\b/i;
+
+function detectCurrency(text, start, end) {
+  const code = (text.slice(Math.max(0, start - 4), start + 1).match(CURRENCY_BEFORE) ||
+    text.slice(end, end + 8).match(CURRENCY_AFTER))?.[1]?.toUpperCase();
+  return code ? CURRENCY_CODES[code] || code : null;
+}
+
+function matchEvidence(page, pattern) {
+  const match = page.text.match(pattern);
+  return { url: page.url, text: textSnippet(page.text, match.index, match.index + match[0].length) };
+}
+
+/**
+ * Find prices on analyzed pages
+ *
+ * A dollar amount only counts as a price if a billing period, a unit or
+ * "starting at" wording sits next to it. Add-on and extra-seat prices are
+ * skipped. `currency` is only set when a code is written next to the price.
+ *
+ * @param {{ url: string, text: string }[]} pages
+ * @returns {{ amount: number, billing_cycle: string|null, unit: 'per_clinician'|'flat'|null, currency: string|null, url: string, text: string }[]}
+ */
+export function extractPrices(pages) {
+  const prices = [];
+  const seen = new Set();
+
+  for (const page of pages) {
+    for (const match of page.text.matchAll(PRICE_PATTERN)) {
+      const end = match.index + match[0].length;
+      const after = page.text.slice(end, end + AFTER_WINDOW);
+      const before = page.text.slice(Math.max(0, match.index - BEFORE_WINDOW), match.index);
+      if (MAGNITUDE.test(after)) continue;
+
+      // Stop the windows at the neighbouring prices so their wording isn't borrowed
+      const ownAfter = after.split(/[$\n]/)[0];
+      const ownBefore = before.split(/[$.!?\n]/).pop();
+      if (ADD_ON_BEFORE.test(ownBefore) || ADD_ON_AFTER.test(ownAfter)) continue;
+
+      const annual = ANNUAL.test(ownAfter) || BILLED_ANNUALLY.test(ownAfter);
+      const monthly = MONTHLY.test(ownAfter);
+      const unit = PER_CLINICIAN.test(ownAfter) ? 'per_clinician' : FLAT.test(ownAfter) ? 'flat' : null;
+      if (!monthly && !annual && !unit && !STARTING.test(before)) continue;
+
+      const amount = parseFloat(`${match[1].replace(/,/g, '')}${match[2] || ''}`);
+      // "$199/month billed annually" is still a monthly amount
+      const billing_cycle = monthly ? 'monthly' : annual ? 'annual' : null;
+      const key = `${amount}|${billing_cycle}|${unit}`;
+      if (seen.has(key)) continue;
+      seen.add(key);
+
+      prices.push({
+        amount,
+        billing_cycle,
+        unit,
+        currency: detectCurrency(page.text, match.index, end),
+        url: page.url,
+        text: textSnippet(page.text, match.index, end),
+      });
+    }
+  }
+
+  return prices;
+}
+
+/**
+ * Normalize extracted prices into the content `pricing` shape
+ *
+ * Prices on the vendor's pricing page win over prices quoted elsewhere, and
+ * per-clinician prices win over flat ones when both appear (that's how the
+ * directory compares vendors); the lowest monthly price is the starting
+ * price. Only fields the pages actually show are returned, so `currency` is
+ * left out unless it was written next to the price.
+ *
+ * @returns {{ pricing: object, evidence: { url: string, text: string }[] }|null}
+ */
+export function normalizePricing(pages) {
+  const prices = extractPrices(pages);
+  const freeTrial = pages.find((page) => FREE_TRIAL.test(page.text));
+  const trialEvidence = freeTrial ? [matchEvidence(freeTrial, FREE_TRIAL)] : [];
+
+  if (prices.length === 0) {
+    // "Contact sales" on a product page doesn't mean there's no public price
+    const quotePage = pages.find((page) => PRICING_PAGE.test(page.url) && QUOTE_ONLY.test(page.text));
+    if (!quotePage && !freeTrial) return null;
+
+    const pricing = {};
+    const evidence = [];
+    if (quotePage) {
+      Object.assign(pricing, { model: 'custom', starting_price: null });
+      evidence.push(matchEvidence(quotePage, QUOTE_ONLY));
+    }
+    if (freeTrial) pricing.has_free_trial = true;
+    return { pricing, evidence: [...evidence, ...trialEvidence] };
+  }
+
+  const onPricingPage = prices.filter((p) => PRICING_PAGE.test(p.url));
+  const basePrices = onPricingPage.length > 0 ? onPricingPage : prices;
+  const perClinician = basePrices.filter((p) => p.unit === 'per_clinician');
+  const pool = perClinician.length > 0 ? perClinician : basePrices;
+  const monthly = pool.filter((p) => p.billing_cycle === 'monthly');
+  const lowest = (monthly.length > 0 ? monthly : pool).reduce((min, p) => (p.amount < min.amount ? p : min));
+
+  const pricing = {
+    model: perClinician.length > 0 ? 'per_clinician' : 'flat',
+    starting_price: lowest.amount,
+  };
+  if (lowest.currency) pricing.currency = lowest.currency;
+  if (lowest.billing_cycle) pricing.billing_cycle = lowest.billing_cycle;
+  if (freeTrial) pricing.has_free_trial = true;
+
+  return { pricing, evidence: [{ url: lowest.url, text: lowest.text }, ...trialEvidence] };
+}
+
+/**
+ * Fields where the extracted pricing disagrees with the listing
+ *
+ * Only fields present in the extracted pricing are compared, and a missing
+ * free trial on the pages is not treated as evidence there is none.
+ *
+ * @returns {{ field: string, current: *, proposed: * }[]}
+ */
+export function comparePricing(current = {}, proposed = {}) {
+  const changes = [];
+
+  for (const [field, value] of Object.entries(proposed)) {
+    if (field === 'starting_price' && value !== null && current.starting_price !== null) {
+      if (Math.abs(value - current.starting_price) < 1) continue;
+    } else if (current[field] === value) {
+      continue;
+    }
+    changes.push({ field: `pricing.${field}`, current: current[field] ?? null, proposed: value });
+  }
+
+  return changes;
+}
+
+/**
+ * Pricing drift entry for one verified vendor, or null when it matches
+ */
+export function pricingDrift(vendor, extracted) {
+  if (!extracted || !vendor.pricing) return null;
+
+  const changes = comparePricing(vendor.pricing, extracted.pricing);
+  if (changes.length === 0) return null;
+
+  return {
+    vendor: vendor.slug,
+    name: vendor.name,
+    file: `src/content/software/${vendor.slug}.json`,
+    changes,
+    patch: {
+      pricing: Object.fromEntries(changes.map((c) => [c.field.replace(/^pricing\./, ''), c.proposed])),
+    },
+    evidence: extracted.evidence,
+  };
+}
+
+function formatValue(value) {
+  return value === null || value === undefined ? '—' : `\`${value}\``;
+}
+
+/**
+ * Markdown pricing-drift report
+ */
+export function driftMarkdown(drift, date) {
+  const lines = ['# Pricing Drift', ''];
+
+  if (drift.length === 0) {
+    lines.push(`No pricing differences found (${date}).`);
+    return lines.join('\n') + '\n';
+  }
+
+  lines.push(
+    `${drift.length} listing(s) show different pricing on the vendor's site (${date}). ` +
+      'Check each snippet before applying the patch; pricing notes may need a manual edit too.',
+    ''
+  );
+
+  for (const entry of drift) {
+    lines.push(`## ${entry.name} (\`${entry.file}\`)`, '', '| Field | Current | Proposed |', '|-------|---------|----------|');
+    for (const change of entry.changes) {
+      lines.push(`| ${change.field} | ${formatValue(change.current)} | ${formatValue(change.proposed)} |`);
+    }
+    lines.push('');
+    for (const evidence of entry.evidence) {
+      lines.push(`> ${evidence.text}`, `>`, `> — ${evidence.url}`, '');
+    }
+    lines.push('```json', JSON.stringify(entry.patch, null, 2), '```', '');
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Write data/pricing-drift.json and data/pricing-drift.md
+ */
+export function writeDriftReport(drift, date) {
+  fs.mkdirSync(DATA_DIR, { recursive: true });
+  fs.writeFileSync(DRIFT_JSON_PATH, JSON.stringify({ generated: date, drift }, null, 2) + '\n');
+  fs.writeFileSync(DRIFT_MD_PATH, driftMarkdown(drift, date));
+  return { json: DRIFT_JSON_PATH, markdown: DRIFT_MD_PATH };
+}
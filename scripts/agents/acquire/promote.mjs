@@ -0,0 +1,183 @@
+/**
+ * Candidate Promotion & Rejection
+ *
+ * Moves a candidate from data/acquire/new-vendors.json into the directory:
+ * - writes src/content/software/<slug>.json (still `needs_review`)
+ * - runs the software validator and removes the file again if it fails
+ * - adds an empty vendor-mappings.json entry and a pending contacts.json entry
+ * - drops the candidate from new-vendors.json
+ *
+ * Rejected candidates are logged with their reason in
+ * data/acquire/rejected.json; later acquisition runs skip them.
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { spawnSync } from 'node:child_process';
+import { fileURLToPath } from 'node:url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const ROOT_DIR = path.join(__dirname, '../../..');
+const CONTENT_DIR = path.join(ROOT_DIR, 'src/content/software');
+const ACQUIRE_DIR = path.join(ROOT_DIR, 'data/acquire');
+const CANDIDATES_PATH = path.join(ACQUIRE_DIR, 'new-vendors.json');
+const REJECTED_PATH = path.join(ACQUIRE_DIR, 'rejected.json');
+const MAPPINGS_PATH = path.join(ROOT_DIR, 'data/reviews/vendor-mappings.json');
+const CONTACTS_PATH = path.join(ROOT_DIR, 'data/outreach/contacts.json');
+const SOFTWARE_VALIDATOR = path.join(ROOT_DIR, 'scripts/validation/validate-software.mjs');
+
+// Outreach priority for a promoted vendor, by classification
+const CONTACT_PRIORITY = {
+  ketamine_specific: 'high',
+  ketamine_compatible: 'medium',
+};
+
+function loadJson(file, fallback) {
+  if (!fs.existsSync(file)) return fallback;
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+function writeJson(file, data) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(data, null, 2) + '\n');
+}
+
+/**
+ * Candidates waiting for review (runAcquisition() output)
+ */
+export function loadCandidates() {
+  return loadJson(CANDIDATES_PATH, []);
+}
+
+/**
+ * Rejected candidates: { slug, name, website, reason, rejected }[]
+ */
+export function loadRejected() {
+  return loadJson(REJECTED_PATH, []);
+}
+
+function takeCandidate(slug) {
+  const candidates = loadCandidates();
+  const candidate = candidates.find((c) => c.slug === slug);
+
+  if (!candidate) {
+    const available = candidates.map((c) => c.slug).join(', ') || 'none';
+    throw new Error(`No candidate "${slug}" in new-vendors.json (available: ${available})`);
+  }
+
+  return { candidate, remaining: candidates.filter((c) => c !== candidate) };
+}
+
+/**
+ * Run the software validator over the content directory
+ * @returns {boolean} Whether validation passed
+ */
+function validateSoftware() {
+  const result = spawnSync(process.execPath, [SOFTWARE_VALIDATOR], { stdio: 'inherit' });
+  return result.status === 0;
+}
+
+/**
+ * Add a mapping entry with no review sources yet
+ * @returns {boolean} Whether an entry was added
+ */
+function addMappingStub(slug) {
+  const mappings = loadJson(MAPPINGS_PATH, { vendors: {} });
+  if (mappings.vendors[slug]) return false;
+
+  mappings.vendors[slug] = { g2: null, capterra: null };
+  mappings.lastUpdated = new Date().toISOString().split('T')[0];
+  writeJson(MAPPINGS_PATH, mappings);
+  return true;
+}
+
+/**
+ * Add a pending outreach contact with no contact details yet
+ * @returns {boolean} Whether an entry was added
+ */
+function addContactStub(entry) {
+  const contacts = loadJson(CONTACTS_PATH, { vendors: [] });
+  if (contacts.vendors.some((v) => v.slug === entry.slug)) return false;
+
+  contacts.vendors.push({
+    slug: entry.slug,
+    name: entry.name,
+    website: entry.website,
+    category: entry.categories?.[0] || 'general',
+    contact: {
+      email: null,
+      name: null,
+      role: null,
+      source: null,
+    },
+    status: 'pending',
+    priority: CONTACT_PRIORITY[entry.software_type] || 'low',
+  });
+  contacts.lastUpdated = new Date().toISOString();
+  writeJson(CONTACTS_PATH, contacts);
+  return true;
+}
+
+/**
+ * Promote a candidate to a draft software entry
+ *
+ * Candidates classified `unknown` (site unreachable during acquisition) are
+ * refused: the content schema has no such software_type. Nothing but the
+ * content file is written until it passes validation, and that file is
+ * removed again when it doesn't.
+ *
+ * @returns {{ file: string, mapping: boolean, contact: boolean }}
+ */
+export function promoteVendor(slug) {
+  const { candidate, remaining } = takeCandidate(slug);
+  const file = path.join(CONTENT_DIR, `${slug}.json`);
+
+  if (fs.existsSync(file)) {
+    throw new Error(`src/content/software/${slug}.json already exists; reject the candidate instead`);
+  }
+  if (candidate.software_type === 'unknown') {
+    throw new Error(
+      `${slug} could not be classified (website unreachable during acquisition); ` +
+        'set its software_type in new-vendors.json or re-run acquisition first'
+    );
+  }
+
+  writeJson(file, candidate);
+  console.log(`✓ Wrote src/content/software/${slug}.json\n`);
+
+  if (!validateSoftware()) {
+    fs.unlinkSync(file);
+    throw new Error(`${slug} failed software validation; removed src/content/software/${slug}.json`);
+  }
+
+  const mapping = addMappingStub(slug);
+  const contact = addContactStub(candidate);
+  writeJson(CANDIDATES_PATH, remaining);
+
+  return { file, mapping, contact };
+}
+
+/**
+ * Reject a candidate and remember why
+ */
+export function rejectVendor(slug, reason) {
+  if (!reason) {
+    throw new Error('A rejection needs --reason="..."');
+  }
+
+  const { candidate, remaining } = takeCandidate(slug);
+  const entry = {
+    slug,
+    name: candidate.name,
+    website: candidate.website,
+    reason,
+    rejected: new Date().toISOString().split('T')[0],
+  };
+
+  writeJson(REJECTED_PATH, [...loadRejected().filter((r) => r.slug !== slug), entry]);
+  writeJson(CANDIDATES_PATH, remaining);
+
+  return entry;
+}
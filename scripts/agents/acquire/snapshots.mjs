@@ -0,0 +1,285 @@
+/**
+ * Vendor Website Snapshots & Change Detection
+ *
+ * The verify run stores the normalized text of every page it analyzes in
+ * data/acquire/snapshots/<vendor>.json with a content hash, rewriting an
+ * entry only when the page changed. On the next run
+ * the same URLs are fetched again and compared sentence by sentence (the text
+ * keeps a line break at every block element, so nav links and teasers are
+ * separate lines):
+ * - changed pages list the sentences added and removed
+ * - pages that now return 404/410 are reported as removed
+ * - sentences with a price, billing unit or term, or a ketamine keyword are
+ *   highlighted
+ *
+ * Pricing or ketamine changes flag the software entry as `needs_review`
+ * (see flagForReview) and are listed in data/site-changes.json and
+ * data/site-changes.md. A vendor's first snapshot is a baseline and is not
+ * reported.
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import crypto from 'node:crypto';
+import { fileURLToPath } from 'node:url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const DATA_DIR = path.join(__dirname, '../../../data');
+const SNAPSHOT_DIR = path.join(DATA_DIR, 'acquire/snapshots');
+const CONTENT_DIR = path.join(__dirname, '../../../src/content/software');
+const CHANGES_JSON_PATH = path.join(DATA_DIR, 'site-changes.json');
+const CHANGES_MD_PATH = path.join(DATA_DIR, 'site-changes.md');
+
+const SCORING = JSON.parse(fs.readFileSync(path.join(__dirname, 'scoring.json'), 'utf8'));
+
+// A price, billing unit or billing term; the bare words "pricing" or "plans"
+// (nav links, teasers) don't count
+const PRICING_PATTERN =
+  /\$\s?\d|\bper (?:month|year|provider|clinician|practitioner|user|seat|location)\b|\/\s?(?:mo|month|yr|year)\b|\bbilled (?:monthly|annually|yearly)\b|\bfree trial\b|\bcontact (?:us|sales) for pricing\b/i;
+const KETAMINE_PATTERN = new RegExp(
+  `\\b(?:${Object.keys(SCORING.keywords.ketamine).map((k) => k.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|')})\\b`,
+  'i'
+);
+
+// Longest sentence quoted in the change report
+const MAX_QUOTE_LENGTH = 200;
+
+// Marks the note flagForReview() appends, so a later flag replaces it
+const FLAG_NOTE_PREFIX = 'Website change detected';
+
+export function hashText(text) {
+  return crypto.createHash('sha256').update(text).digest('hex');
+}
+
+function snapshotPath(slug) {
+  return path.join(SNAPSHOT_DIR, `${slug}.json`);
+}
+
+/**
+ * Previous snapshot for a vendor, or null before the first run
+ * @returns {{ vendor: string, updated: string, pages: Object<string, { hash: string, fetched: string, text: string }> }|null}
+ */
+export function loadSnapshot(slug) {
+  const file = snapshotPath(slug);
+  if (!fs.existsSync(file)) return null;
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+/**
+ * Store this run's pages
+ *
+ * A page's entry (including `fetched`, the date this version was first seen)
+ * only changes when its hash does, and the file is only rewritten when some
+ * page changed, so an unchanged site leaves the snapshot untouched. Pages
+ * that couldn't be fetched this time (network errors, now disallowed) keep
+ * their previous snapshot; pages reported missing are dropped.
+ *
+ * @returns {boolean} Whether the snapshot file was written
+ */
+export function saveSnapshot(slug, pages, previous, missing, date) {
+  const stored = { ...(previous?.pages || {}) };
+  let changed = !previous;
+
+  for (const url of missing) {
+    if (url in stored) changed = true;
+    delete stored[url];
+  }
+  for (const page of pages) {
+    const hash = hashText(page.text);
+    if (stored[page.url]?.hash === hash) continue;
+    stored[page.url] = { hash, fetched: date, text: page.text };
+    changed = true;
+  }
+
+  if (!changed) return false;
+  fs.mkdirSync(SNAPSHOT_DIR, { recursive: true });
+  fs.writeFileSync(snapshotPath(slug), JSON.stringify({ vendor: slug, updated: date, pages: stored }, null, 2) + '\n');
+  return true;
+}
+
+function sentences(text) {
+  return (text || '')
+    .split(/\n|(?<=[.!?])\s+/)
+    .map((s) => s.trim())
+    .filter((s) => s.length > 1);
+}
+
+/**
+ * Sentences added and removed between two versions of a page
+ *
+ * Order-insensitive: a sentence that only moved is not a change.
+ */
+export function diffText(before, after) {
+  const beforeSet = new Set(sentences(before));
+  const afterSet = new Set(sentences(after));
+
+  return {
+    added: [...afterSet].filter((s) => !beforeSet.has(s)),
+    removed: [...beforeSet].filter((s) => !afterSet.has(s)),
+  };
+}
+
+function topics(lines) {
+  return {
+    pricing: lines.filter((line) => PRICING_PATTERN.test(line)),
+    ketamine: lines.filter((line) => KETAMINE_PATTERN.test(line)),
+  };
+}
+
+function hasHighlights(page, topic) {
+  const { added, removed } = page.highlights;
+  return topic
+    ? added[topic].length > 0 || removed[topic].length > 0
+    : hasHighlights(page, 'pricing') || hasHighlights(page, 'ketamine');
+}
+
+/**
+ * Compare this run's pages with the previous snapshot
+ *
+ * @param {{ slug: string, name: string }} vendor
+ * @param {object|null} previous - loadSnapshot() result
+ * @param {{ url: string, text: string }[]} pages - Pages analyzed this run
+ * @param {string[]} missing - Previously snapshotted URLs that now return 404/410
+ * @returns {object|null} Change entry, or null for a baseline run or no change
+ */
+export function detectChanges(vendor, previous, pages, missing) {
+  if (!previous) return null;
+
+  const changedPages = [];
+
+  for (const page of pages) {
+    const before = previous.pages[page.url];
+    if (!before || before.hash === hashText(page.text)) continue;
+
+    const { added, removed } = diffText(before.text, page.text);
+    if (added.length === 0 && removed.length === 0) continue;
+
+    changedPages.push({
+      url: page.url,
+      change: 'changed',
+      previousHash: before.hash,
+      hash: hashText(page.text),
+      added,
+      removed,
+      highlights: { added: topics(added), removed: topics(removed) },
+    });
+  }
+
+  for (const url of missing) {
+    const before = previous.pages[url];
+    if (!before) continue;
+    const removed = sentences(before.text);
+    changedPages.push({
+      url,
+      change: 'removed',
+      previousHash: before.hash,
+      hash: null,
+      added: [],
+      removed,
+      highlights: { added: topics([]), removed: topics(removed) },
+    });
+  }
+
+  if (changedPages.length === 0) return null;
+
+  const flags = ['pricing', 'ketamine'].filter((topic) => changedPages.some((p) => hasHighlights(p, topic)));
+
+  return {
+    vendor: vendor.slug,
+    name: vendor.name,
+    file: `src/content/software/${vendor.slug}.json`,
+    flags,
+    needs_review: flags.length > 0,
+    pages: changedPages,
+  };
+}
+
+/**
+ * Set verification.status to needs_review in a software entry
+ *
+ * Edits the two values in place so the rest of the hand-formatted JSON is
+ * untouched, and replaces any earlier change-detection note.
+ *
+ * @returns {boolean} Whether the file changed
+ */
+export function flagForReview(change, date) {
+  const file = path.join(CONTENT_DIR, `${change.vendor}.json`);
+  if (!fs.existsSync(file)) return false;
+
+  const raw = fs.readFileSync(file, 'utf8');
+  const entry = JSON.parse(raw);
+  if (!entry.verification) return false;
+
+  const urls = change.pages.filter((p) => hasHighlights(p)).map((p) => p.url);
+  const previousNotes = entry.verification.notes;
+  const flagIndex = previousNotes.indexOf(FLAG_NOTE_PREFIX);
+  const baseNotes = (flagIndex === -1 ? previousNotes : previousNotes.slice(0, flagIndex)).trim();
+  const note = `${FLAG_NOTE_PREFIX} ${date} (${change.flags.join(', ')}): ${urls.join(', ')}.`;
+  const notes = baseNotes ? `${baseNotes} ${note}` : note;
+
+  const verificationStart = raw.indexOf('"verification"');
+  const head = raw.slice(0, verificationStart);
+  const tail = raw
+    .slice(verificationStart)
+    .replace(/"status":\s*"[a-z_]+"/, '"status": "needs_review"')
+    .replace(`"notes": ${JSON.stringify(previousNotes)}`, () => `"notes": ${JSON.stringify(notes)}`);
+  const updated = head + tail;
+
+  if (updated === raw) return false;
+  fs.writeFileSync(file, updated);
+  return true;
+}
+
+function quote(line) {
+  return line.length > MAX_QUOTE_LENGTH ? `${line.slice(0, MAX_QUOTE_LENGTH - 1)}…` : line;
+}
+
+/**
+ * Markdown change report
+ */
+export function changesMarkdown(changes, date) {
+  const lines = ['# Vendor Website Changes', ''];
+
+  if (changes.length === 0) {
+    lines.push(`No vendor website changes detected (${date}).`);
+    return lines.join('\n') + '\n';
+  }
+
+  const flagged = changes.filter((c) => c.needs_review);
+  lines.push(
+    `${changes.length} vendor site(s) changed since the last snapshot (${date}); ${flagged.length} flagged \`needs_review\` for pricing or ketamine changes.`,
+    ''
+  );
+
+  for (const change of changes) {
+    const badge = change.needs_review ? ` — needs_review (${change.flags.join(', ')})` : '';
+    lines.push(`## ${change.name}${badge}`, '');
+
+    for (const page of change.pages) {
+      lines.push(`- ${page.change === 'removed' ? '**Removed**' : 'Changed'}: ${page.url} (+${page.added.length} / -${page.removed.length} sentences)`);
+
+      for (const topic of ['pricing', 'ketamine']) {
+        for (const line of page.highlights.added[topic]) lines.push(`  - ${topic} added: "${quote(line)}"`);
+        for (const line of page.highlights.removed[topic]) lines.push(`  - ${topic} removed: "${quote(line)}"`);
+      }
+      if (page.change === 'changed' && !hasHighlights(page)) {
+        lines.push(`  - first change: "${quote(page.added[0] || page.removed[0])}"`);
+      }
+    }
+    lines.push('');
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Write data/site-changes.json and data/site-changes.md
+ */
+export function writeChangeReport(changes, date) {
+  fs.mkdirSync(DATA_DIR, { recursive: true });
+  fs.writeFileSync(CHANGES_JSON_PATH, JSON.stringify({ generated: date, changes }, null, 2) + '\n');
+  fs.writeFileSync(CHANGES_MD_PATH, changesMarkdown(changes, date));
+  return { json: CHANGES_JSON_PATH, markdown: CHANGES_MD_PATH };
+}
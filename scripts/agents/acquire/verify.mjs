@@ -6,139 +6,142 @@
  *
  * This agent:
  * 1. Checks if vendor websites are live
- * 2. Fetches key pages (homepage, pricing, features)
- * 3. Searches for ketamine-specific keywords
- * 4. Extracts pricing information if visible
- * 5. Returns a verification report
+ * 2. Reads robots.txt and picks relevant pages from the sitemap and homepage
+ *    links (pricing, ketamine, SPRAVATO, psychiatry, features), see crawl.mjs
+ * 3. Fetches those pages, honoring disallow rules and crawl delay
+ * 4. Searches for ketamine-specific keywords
+ * 5. Extracts visible pricing in the listing's `pricing` shape and proposes
+ *    a patch where it differs from the software JSON (see pricing.mjs)
+ * 6. Compares the pages with last run's snapshot and flags pricing or
+ *    ketamine changes for review (see snapshots.mjs)
+ * 7. Returns a verification report listing the URLs analyzed
  */
 
 import fs from 'node:fs';
 import path from 'node:path';
 import { fileURLToPath } from 'node:url';
+import { httpFetch, configureFetchFromArgs, politeDelay } from '../http.mjs';
+import {
+  fetchText,
+  loadSitePolicy,
+  loadSitemapUrls,
+  extractLinks,
+  selectPages,
+  textSnippet,
+} from './crawl.mjs';
+import { normalizePricing, pricingDrift, writeDriftReport } from './pricing.mjs';
+import { loadSnapshot, saveSnapshot, detectChanges, flagForReview, writeChangeReport } from './snapshots.mjs';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+// Keywords and their classifier weights live in scoring.json
+const SCORING = JSON.parse(fs.readFileSync(path.join(__dirname, 'scoring.json'), 'utf8'));
+
 // Ketamine-specific keywords to search for
-const KETAMINE_KEYWORDS = [
-  'ketamine',
-  'spravato',
-  'esketamine',
-  'iv infusion',
-  'im injection',
-  'intramuscular',
-  'infusion clinic',
-  'infusion therapy',
-  'treatment series',
-  'rems',
-];
+const KETAMINE_KEYWORDS = Object.keys(SCORING.keywords.ketamine);
 
 // Psychiatry/mental health keywords (moderate signal)
-const PSYCHIATRY_KEYWORDS = [
-  'psychiatry',
-  'psychiatric',
-  'behavioral health',
-  'mental health',
-  'outcome tracking',
-  'phq-9',
-  'gad-7',
-  'rating scales',
-  'outcome measures',
-];
-
-// Pages to check on vendor websites
-const PAGES_TO_CHECK = ['', '/pricing', '/features', '/psychiatry', '/solutions', '/about'];
+const PSYCHIATRY_KEYWORDS = Object.keys(SCORING.keywords.psychiatry);
+
+// Signs of a pharmacy or compounding business rather than clinic software
+const NEGATIVE_KEYWORDS = Object.keys(SCORING.keywords.negative);
+
+// Most pages analyzed per vendor, homepage included
+const MAX_PAGES = 6;
+
+// Evidence snippets: characters of context on each side of a match, and
+// how many distinct snippets are kept per keyword
+const SNIPPET_CONTEXT = 80;
+const MAX_SNIPPETS_PER_KEYWORD = 3;
 
 /**
  * Check if a website is accessible
  */
 async function checkWebsite(url) {
-  try {
-    const controller = new AbortController();
-    const timeout = setTimeout(() => controller.abort(), 10000);
+  const response = await httpFetch(url, { method: 'HEAD', timeoutMs: 10000 });
 
-    const response = await fetch(url, {
-      method: 'HEAD',
-      signal: controller.signal,
-      headers: {
-        'User-Agent':
-          'Mozilla/5.0 (compatible; KetamineSoftwareDirectory/1.0; +https://ketaminesoftware.com)',
-      },
-    });
-
-    clearTimeout(timeout);
+  return {
+    ok: response.ok,
+    status: response.status,
+    redirected: response.redirected,
+    finalUrl: response.url,
+    error: response.error,
+  };
+}
 
-    return {
-      ok: response.ok,
-      status: response.status,
-      redirected: response.redirected,
-      finalUrl: response.url,
-    };
-  } catch (error) {
-    return {
-      ok: false,
-      status: 0,
-      error: error.message,
-    };
-  }
+function escapeRegex(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
 }
 
 /**
- * Fetch page content and extract text
+ * Strip HTML tags and normalize whitespace
  */
-async function fetchPageContent(url) {
-  try {
-    const controller = new AbortController();
-    const timeout = setTimeout(() => controller.abort(), 15000);
-
-    const response = await fetch(url, {
-      signal: controller.signal,
-      headers: {
-        'User-Agent':
-          'Mozilla/5.0 (compatible; KetamineSoftwareDirectory/1.0; +https://ketaminesoftware.com)',
-      },
-    });
-
-    clearTimeout(timeout);
-
-    if (!response.ok) {
-      return null;
-    }
-
-    const html = await response.text();
-    // Strip HTML tags and normalize whitespace
-    const text = html
-      .replace(/<script[^>]*>[\s\S]*?<\/script>/gi, '')
-      .replace(/<style[^>]*>[\s\S]*?<\/style>/gi, '')
-      .replace(/<[^>]+>/g, ' ')
-      .replace(/\s+/g, ' ')
-      .toLowerCase();
-
-    return text;
-  } catch (error) {
-    return null;
-  }
+function htmlToText(html) {
+  return html
+    .replace(/<script[^>]*>[\s\S]*?<\/script>/gi, '')
+    .replace(/<style[^>]*>[\s\S]*?<\/style>/gi, '')
+    // Block boundaries become line breaks so nav items, headings and teasers
+    // stay separate lines instead of one run-on sentence
+    .replace(/<br\s*\/?>|<\/(?:p|li|h[1-6]|div|section|article|header|footer|nav|td|th|tr|dt|dd|blockquote)>/gi, '\n')
+    .replace(/<[^>]+>/g, ' ')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&amp;/g, '&')
+    .replace(/[^\S\n]+/g, ' ')
+    .replace(/ ?\n[\s]*/g, '\n')
+    .trim();
 }
 
 /**
- * Search content for keywords and return evidence
+ * Search pages for keywords and return evidence
+ *
+ * Keywords match on word boundaries ("rems" doesn't match "premises").
+ * Each match records its count per page and up to MAX_SNIPPETS_PER_KEYWORD
+ * snippets of surrounding
+ * text with the page they came from. Matches inside the previous snippet are
+ * skipped and identical snippets (navigation and footers repeated on every page) are only
+ * kept once.
+ *
+ * @param {{ url: string, text: string }[]} pages
+ * @returns {{ count: number, matches: { keyword: string, count: number, pages: { url: string, count: number }[], snippets: { url: string, text: string }[] }[] }}
  */
-function searchKeywords(content, keywords) {
-  if (!content) {
-    return { count: 0, matches: [] };
-  }
-
+function searchKeywords(pages, keywords) {
   const matches = [];
   let count = 0;
 
   for (const keyword of keywords) {
-    const regex = new RegExp(keyword, 'gi');
-    const keywordMatches = content.match(regex);
-    if (keywordMatches) {
-      count += keywordMatches.length;
+    const regex = new RegExp(`\\b${escapeRegex(keyword)}\\b`, 'gi');
+    const pageCounts = [];
+    const snippets = [];
+    const seen = new Set();
+    let keywordCount = 0;
+
+    for (const page of pages) {
+      let coveredUntil = -1;
+      let pageCount = 0;
+      for (const match of page.text.matchAll(regex)) {
+        keywordCount++;
+        pageCount++;
+        // Skip matches already inside the previous snippet from this page
+        if (snippets.length >= MAX_SNIPPETS_PER_KEYWORD || match.index < coveredUntil) continue;
+        coveredUntil = match.index + keyword.length + SNIPPET_CONTEXT;
+
+        const text = textSnippet(page.text, match.index, match.index + keyword.length, SNIPPET_CONTEXT);
+        const key = text.toLowerCase();
+        if (seen.has(key)) continue;
+        seen.add(key);
+        snippets.push({ url: page.url, text });
+      }
+      if (pageCount > 0) pageCounts.push({ url: page.url, count: pageCount });
+    }
+
+    if (keywordCount > 0) {
+      count += keywordCount;
       matches.push({
         keyword,
-        count: keywordMatches.length,
+        count: keywordCount,
+        pages: pageCounts,
+        snippets,
       });
     }
   }
@@ -147,35 +150,102 @@ function searchKeywords(content, keywords) {
 }
 
 /**
- * Extract pricing information from page content
+ * Pick and fetch the pages to analyze on a vendor site
+ *
+ * The homepage is always read (unless robots.txt disallows it). Pages from
+ * the previous snapshot are read again next so changes can be compared; the
+ * remaining slots go to the best keyword matches from the sitemap and
+ * homepage links, up to MAX_PAGES in total. Revisited pages answering
+ * 404/410 are returned as `missing`.
+ *
+ * @param {string} website
+ * @param {string[]} revisit - URLs analyzed last time
+ * @returns {Promise<{ pages: { url: string, text: string }[], missing: string[], discovery: object }>}
  */
-function extractPricing(content) {
-  if (!content) {
-    return null;
+async function analyzeSite(website, revisit = []) {
+  const origin = new URL(website).origin;
+  const policy = await loadSitePolicy(origin);
+  const homepage = new URL('/', origin).toString();
+
+  const pages = [];
+  const missing = [];
+  const disallowed = [];
+  let links = [];
+
+  if (policy.isAllowed(homepage)) {
+    await policy.wait();
+    const response = await fetchText(homepage);
+    if (response.ok && response.text) {
+      pages.push({ url: homepage, text: htmlToText(response.text) });
+      links = extractLinks(response.text, response.url);
+    }
+  } else {
+    disallowed.push(homepage);
   }
 
-  // Look for common pricing patterns
-  const pricePatterns = [
-    /\$(\d{1,3}(?:,\d{3})*(?:\.\d{2})?)\s*(?:\/|\s*per\s*)\s*(?:month|mo|clinician|provider|user)/gi,
-    /(?:starting\s*(?:at|from)\s*)\$(\d{1,3}(?:,\d{3})*(?:\.\d{2})?)/gi,
-    /(\d{1,3}(?:,\d{3})*(?:\.\d{2})?)\s*(?:usd|dollars?)\s*(?:\/|\s*per\s*)\s*(?:month|mo)/gi,
-  ];
+  const revisited = revisit.filter((url) => url !== homepage).slice(0, MAX_PAGES - 1);
+  for (const url of revisited) {
+    if (!policy.isAllowed(url)) {
+      disallowed.push(url);
+      continue;
+    }
+    await policy.wait();
+    const response = await fetchText(url);
+    if (response.ok && response.text) {
+      pages.push({ url, text: htmlToText(response.text) });
+    } else if (response.status === 404 || response.status === 410) {
+      missing.push(url);
+    }
+  }
 
-  const prices = [];
-  for (const pattern of pricePatterns) {
-    const matches = content.matchAll(pattern);
-    for (const match of matches) {
-      prices.push(match[0]);
+  const sitemap = await loadSitemapUrls(policy);
+  const candidates = [
+    ...sitemap.urls.map((url) => ({ url, source: 'sitemap' })),
+    ...links.map((link) => ({ ...link, source: 'link' })),
+  ];
+  const { selected, disallowed: skipped } = selectPages(
+    candidates,
+    policy,
+    Math.max(0, MAX_PAGES - pages.length),
+    [homepage, ...revisited]
+  );
+  disallowed.push(...skipped);
+
+  for (const page of selected) {
+    await policy.wait();
+    const response = await fetchText(page.url);
+    if (response.ok && response.text) {
+      pages.push({ url: page.url, text: htmlToText(response.text) });
     }
   }
 
-  return prices.length > 0 ? prices : null;
+  console.log(`  ${pages.length} page(s) analyzed, ${sitemap.urls.length} sitemap URL(s), crawl delay ${policy.crawlDelay}s`);
+
+  return {
+    pages,
+    missing,
+    discovery: {
+      robots_txt: policy.robotsFound,
+      crawl_delay: policy.crawlDelay,
+      sitemaps: sitemap.sitemaps,
+      sitemap_urls: sitemap.urls.length,
+      homepage_links: links.length,
+      revisited,
+      missing,
+      selected: selected.map(({ url, keywords, source }) => ({ url, keywords, source })),
+      disallowed,
+    },
+  };
 }
 
 /**
  * Verify a single vendor
+ *
+ * With `trackChanges` the analyzed pages are compared with the vendor's
+ * previous snapshot and stored as the new one (see snapshots.mjs); the
+ * result then carries `site_changes`.
  */
-export async function verifyVendor(vendor) {
+export async function verifyVendor(vendor, { trackChanges = false } = {}) {
   console.log(`Verifying: ${vendor.name} (${vendor.website})`);
 
   // 1. Check if website is live
@@ -189,35 +259,40 @@ export async function verifyVendor(vendor) {
       website_error: websiteStatus.error || `HTTP ${websiteStatus.status}`,
       ketamine_evidence: null,
       psychiatry_evidence: null,
+      negative_evidence: null,
       pricing_found: null,
       verification_date: new Date().toISOString().split('T')[0],
       status: 'unverified',
     };
   }
 
-  // 2. Fetch and analyze pages
-  let allContent = '';
-  const pagesChecked = [];
-
-  for (const pagePath of PAGES_TO_CHECK) {
-    const pageUrl = new URL(pagePath, vendor.website).toString();
-    const content = await fetchPageContent(pageUrl);
-    if (content) {
-      allContent += ' ' + content;
-      pagesChecked.push(pagePath || '/');
-    }
-  }
+  // 2. Discover pages (robots.txt, sitemap, homepage links) and analyze them
+  const previousSnapshot = trackChanges ? loadSnapshot(vendor.slug) : null;
+  const { pages, missing, discovery } = await analyzeSite(
+    websiteStatus.finalUrl || vendor.website,
+    previousSnapshot ? Object.keys(previousSnapshot.pages) : []
+  );
 
   // 3. Search for ketamine keywords
-  const ketamineEvidence = searchKeywords(allContent, KETAMINE_KEYWORDS);
-
-  // 4. Search for psychiatry keywords
-  const psychiatryEvidence = searchKeywords(allContent, PSYCHIATRY_KEYWORDS);
-
-  // 5. Extract pricing
-  const pricingFound = extractPricing(allContent);
+  const ketamineEvidence = searchKeywords(pages, KETAMINE_KEYWORDS);
+
+  // 4. Search for psychiatry keywords and negative signals
+  const psychiatryEvidence = searchKeywords(pages, PSYCHIATRY_KEYWORDS);
+  const negativeEvidence = searchKeywords(pages, NEGATIVE_KEYWORDS);
+
+  // 5. Extract pricing and compare it with the listing (existing vendors only)
+  const pricingFound = normalizePricing(pages);
+  const pricingDriftEntry = pricingDrift(vendor, pricingFound);
+
+  // 6. Compare with the previous snapshot
+  const today = new Date().toISOString().split('T')[0];
+  let siteChanges = null;
+  if (trackChanges && pages.length > 0) {
+    siteChanges = detectChanges(vendor, previousSnapshot, pages, missing);
+    saveSnapshot(vendor.slug, pages, previousSnapshot, missing, today);
+  }
 
-  // 6. Determine verification status
+  // 7. Determine verification status
   let status = 'needs_review';
   if (ketamineEvidence.count >= 5) {
     status = 'verified';
@@ -229,11 +304,15 @@ export async function verifyVendor(vendor) {
     vendor: vendor.slug,
     name: vendor.name,
     website_live: true,
-    pages_checked: pagesChecked,
+    pages_analyzed: pages.map((page) => page.url),
+    page_discovery: discovery,
     ketamine_evidence: ketamineEvidence,
     psychiatry_evidence: psychiatryEvidence,
+    negative_evidence: negativeEvidence,
     pricing_found: pricingFound,
-    verification_date: new Date().toISOString().split('T')[0],
+    pricing_drift: pricingDriftEntry,
+    site_changes: siteChanges,
+    verification_date: today,
     status,
   };
 }
@@ -250,21 +329,52 @@ export async function verifyAllVendors() {
   for (const file of files) {
     const filePath = path.join(contentDir, file);
     const vendor = JSON.parse(fs.readFileSync(filePath, 'utf8'));
-    const result = await verifyVendor(vendor);
+    const result = await verifyVendor(vendor, { trackChanges: true });
     results.push(result);
 
     // Rate limit to avoid overwhelming servers
-    await new Promise((resolve) => setTimeout(resolve, 2000));
+    await politeDelay(2000);
   }
 
   return results;
 }
 
+/**
+ * Write the verification, pricing-drift and site-change reports, and flag
+ * software entries whose pricing or ketamine content changed as needs_review
+ *
+ * The reports are read by the Verify Claims workflow; classify.mjs reads the
+ * verification report.
+ */
+export function saveVerificationReport(results) {
+  const outputPath = path.join(__dirname, '../../../data/verification-report.json');
+  fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+  fs.writeFileSync(outputPath, JSON.stringify(results, null, 2));
+  console.log(`\nDetailed report saved to: ${outputPath}`);
+
+  const drift = results.map((r) => r.pricing_drift).filter(Boolean);
+  const today = new Date().toISOString().split('T')[0];
+  const driftPaths = writeDriftReport(drift, today);
+  console.log(`Pricing drift: ${drift.length} listing(s), report saved to: ${driftPaths.markdown}`);
+
+  const changes = results.map((r) => r.site_changes).filter(Boolean);
+  const changePaths = writeChangeReport(changes, today);
+  console.log(`Site changes: ${changes.length} vendor(s), report saved to: ${changePaths.markdown}`);
+  for (const change of changes.filter((c) => c.needs_review)) {
+    if (flagForReview(change, today)) {
+      console.log(`  ⚠ ${change.name}: ${change.flags.join(', ')} changed - marked needs_review in ${change.file}`);
+    }
+  }
+
+  return outputPath;
+}
+
 /**
  * Main execution
  */
 async function main() {
-  console.log('Starting vendor verification...\n');
+  const fetchMode = configureFetchFromArgs();
+  console.log(`Starting vendor verification (fetch: ${fetchMode})...\n`);
 
   const results = await verifyAllVendors();
 
@@ -280,11 +390,7 @@ async function main() {
   console.log(`Needs Review: ${needsReview.length}`);
 
   // Output detailed results
-  const outputPath = path.join(__dirname, '../../../data/verification-report.json');
-  fs.mkdirSync(path.dirname(outputPath), { recursive: true });
-  fs.writeFileSync(outputPath, JSON.stringify(results, null, 2));
-
-  console.log(`\nDetailed report saved to: ${outputPath}`);
+  saveVerificationReport(results);
 
   // Return non-zero if there are issues
   if (unverified.length > 0) {
@@ -297,5 +403,8 @@ async function main() {
 
 // Run if called directly
 if (process.argv[1] === fileURLToPath(import.meta.url)) {
-  main().catch(console.error);
+  main().catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
 }
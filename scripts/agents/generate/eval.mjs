@@ -0,0 +1,234 @@
+/**
+ * GENERATE Agent - Offline Prompt Evaluation
+ *
+ * Runs a fixed set of vendors (or vendor pairs) through two versions of a
+ * prompt and scores every output with the same quality and fact-grounding
+ * checks the generate run uses, then prints the results side by side.
+ *
+ * Usage:
+ *   npm run generate:eval -- --type=alternatives
+ *   npm run generate:eval -- --type=comparison --baseline=comparison@1 --candidate=comparison@2
+ *   npm run generate:eval -- --type=faq --provider=anthropic --record   # capture responses
+ *   npm run generate:eval -- --type=faq --provider=recorded            # replay them offline
+ *
+ * --baseline defaults to the newest archived version and --candidate to the
+ * current one. --provider defaults to GENERATE_PROVIDER, then mock. Each
+ * output is a single attempt (no retry-with-feedback), so the scores reflect
+ * the prompt alone.
+ */
+
+import { PROMPT_VERSIONS, getPromptTemplate, listPromptVersions } from './prompts.mjs';
+import { checkGrounding } from './grounding.mjs';
+import { checkQuality, claimText } from './quality.mjs';
+import { createProvider, withRecording } from './providers.mjs';
+import { loadSoftwareData, loadReviews, loadPersonas } from './store.mjs';
+import { rankAlternatives } from '../../../src/lib/similarity.mjs';
+import { rankForPersona } from '../../../src/lib/personas.mjs';
+
+/**
+ * Fixed evaluation set: a mix of ketamine-specific, ketamine-compatible
+ * and general EHR products so every branch of a prompt gets exercised
+ */
+const EVAL_PAIRS = [
+  ['clinifusion', 'osmind'],
+  ['osmind', 'simplepractice'],
+  ['charm', 'valant'],
+  ['drchrono', 'janeapp'],
+];
+
+const EVAL_VENDORS = ['clinifusion', 'osmind', 'simplepractice', 'drchrono'];
+
+// personaIntro fixtures are every persona in data/personas/personas.json
+
+/**
+ * Prompt arguments and grounding facts for one fixture, built the same way
+ * as the generate run builds them
+ */
+function buildCase(type, slugs, softwareBySlug, allSoftware, reviews, personas) {
+  if (type === 'personaIntro') {
+    const persona = personas.find((p) => p.slug === slugs[0]);
+    const matches = rankForPersona(persona, allSoftware, reviews).slice(0, 5);
+    if (matches.length === 0) return { error: 'no matching software' };
+    return {
+      args: { persona, matches },
+      facts: { software: matches.map((m) => m.software), reviews },
+    };
+  }
+
+  const products = slugs.map((slug) => softwareBySlug.get(slug));
+  const missing = slugs.filter((slug, i) => !products[i]);
+  if (missing.length > 0) return { error: `missing software: ${missing.join(', ')}` };
+
+  const [sw, other] = products;
+
+  switch (type) {
+    case 'comparison':
+      return {
+        args: { softwareA: sw, softwareB: other, reviewsA: reviews[sw.slug] || null, reviewsB: reviews[other.slug] || null },
+        facts: { software: [sw, other], reviews },
+      };
+    case 'alternatives': {
+      const ranked = rankAlternatives(sw, allSoftware, 5);
+      return {
+        args: { software: sw, alternatives: ranked },
+        facts: { software: [sw, ...ranked.map((r) => r.software)], reviews, subject: sw },
+      };
+    }
+    case 'vendorSummary': {
+      const competitors = rankAlternatives(sw, allSoftware, 3).map((r) => r.software);
+      return {
+        args: { software: sw, reviews: reviews[sw.slug] || null, competitors },
+        facts: { software: [sw, ...competitors], reviews, subject: sw },
+      };
+    }
+    case 'faq':
+      return {
+        args: { software: sw, reviews: reviews[sw.slug] || null },
+        facts: { software: [sw], reviews, subject: sw },
+      };
+    default:
+      return { error: `unknown content type "${type}"` };
+  }
+}
+
+/**
+ * Generate and score one output
+ */
+async function scoreOutput(provider, template, type, testCase) {
+  try {
+    const content = await provider.complete(template(testCase.args), { maxTokens: 1024 });
+    const quality = checkQuality(content, type);
+    const grounding = checkGrounding(claimText(content, type), testCase.facts);
+    return {
+      wordCount: quality.wordCount,
+      issues: [...quality.violations, ...grounding.contradictions],
+    };
+  } catch (error) {
+    return { wordCount: 0, issues: [`provider error: ${error.message}`] };
+  }
+}
+
+function formatCell(result) {
+  return result.issues.length === 0
+    ? `✓ ${result.wordCount} words`
+    : `✗ ${result.issues.length} issue(s), ${result.wordCount} words`;
+}
+
+function summarize(results) {
+  const passed = results.filter((r) => r.issues.length === 0).length;
+  const issues = results.reduce((sum, r) => sum + r.issues.length, 0);
+  const avgWords = results.length ? Math.round(results.reduce((sum, r) => sum + r.wordCount, 0) / results.length) : 0;
+  return { passed, issues, avgWords };
+}
+
+/**
+ * CLI entry point for `generate eval`
+ *
+ * @param {object} args - Parsed --flags
+ */
+export async function runEval(args = {}) {
+  const type = typeof args.type === 'string' ? args.type : 'comparison';
+  if (!PROMPT_VERSIONS[type]) {
+    console.error(`✗ Unknown content type "${type}" (expected ${Object.keys(PROMPT_VERSIONS).join(', ')})`);
+    process.exit(1);
+  }
+
+  const versions = listPromptVersions(type);
+  const candidate = typeof args.candidate === 'string' ? args.candidate : PROMPT_VERSIONS[type];
+  const baseline = typeof args.baseline === 'string'
+    ? args.baseline
+    : versions.filter((v) => v !== candidate).pop();
+
+  if (!baseline) {
+    console.error(`✗ ${type} has a single prompt version (${candidate}); pass --baseline=<version> to compare`);
+    process.exit(1);
+  }
+
+  if (baseline === candidate) {
+    console.error(`✗ --baseline and --candidate are both ${candidate}`);
+    process.exit(1);
+  }
+
+  const templates = {};
+  for (const version of [baseline, candidate]) {
+    templates[version] = version.startsWith(`${type}@`) ? getPromptTemplate(version) : null;
+    if (!templates[version]) {
+      console.error(`✗ Unknown ${type} prompt version "${version}" (available: ${versions.join(', ')})`);
+      process.exit(1);
+    }
+  }
+
+  let provider;
+  try {
+    provider = createProvider(typeof args.provider === 'string' ? args.provider : process.env.GENERATE_PROVIDER || 'mock');
+  } catch (error) {
+    console.error(`✗ ${error.message}`);
+    process.exit(1);
+  }
+  if (args.record) provider = withRecording(provider);
+
+  const [software, reviews, personas] = await Promise.all([loadSoftwareData(), loadReviews(), loadPersonas()]);
+  const softwareBySlug = new Map(software.map((s) => [s.slug, s]));
+  const fixtures = type === 'comparison'
+    ? EVAL_PAIRS
+    : (type === 'personaIntro' ? personas.map((p) => p.slug) : EVAL_VENDORS).map((slug) => [slug]);
+
+  console.log(`🧪 Prompt evaluation: ${baseline} vs ${candidate}`);
+  console.log(`   Provider: ${provider.name} (${provider.model})${args.record ? ', recording' : ''}`);
+  console.log(`   Fixtures: ${fixtures.length}\n`);
+
+  const rows = [];
+  for (const slugs of fixtures) {
+    const key = slugs.join('-vs-');
+    const testCase = buildCase(type, slugs, softwareBySlug, software, reviews, personas);
+    if (testCase.error) {
+      console.warn(`  ⚠ Skipping ${key}: ${testCase.error}`);
+      continue;
+    }
+
+    const baseResult = await scoreOutput(provider, templates[baseline], type, testCase);
+    const candResult = await scoreOutput(provider, templates[candidate], type, testCase);
+    rows.push({ key, [baseline]: baseResult, [candidate]: candResult });
+    await new Promise((resolve) => setTimeout(resolve, provider.delayMs));
+  }
+
+  // Side-by-side table
+  const keyWidth = Math.max(8, ...rows.map((r) => r.key.length)) + 2;
+  const colWidth = 30;
+  const line = (a, b, c) => console.log(`${a.padEnd(keyWidth)}${b.padEnd(colWidth)}${c}`);
+
+  line('Fixture', baseline, candidate);
+  line('-'.repeat(keyWidth - 2), '-'.repeat(colWidth - 2), '-'.repeat(colWidth - 2));
+  for (const row of rows) {
+    line(row.key, formatCell(row[baseline]), formatCell(row[candidate]));
+  }
+
+  const base = summarize(rows.map((r) => r[baseline]));
+  const cand = summarize(rows.map((r) => r[candidate]));
+  line('-'.repeat(keyWidth - 2), '-'.repeat(colWidth - 2), '-'.repeat(colWidth - 2));
+  line('Passed', `${base.passed}/${rows.length}`, `${cand.passed}/${rows.length}`);
+  line('Issues', String(base.issues), String(cand.issues));
+  line('Avg words', String(base.avgWords), String(cand.avgWords));
+
+  // Issue details
+  const withIssues = rows.flatMap((row) => [baseline, candidate]
+    .filter((version) => row[version].issues.length > 0)
+    .map((version) => ({ label: `${version} / ${row.key}`, issues: row[version].issues })));
+
+  if (withIssues.length > 0) {
+    console.log('\nIssues:');
+    for (const { label, issues } of withIssues) {
+      console.log(`  ${label}`);
+      for (const issue of issues) console.log(`    - ${issue}`);
+    }
+  }
+
+  console.log('');
+  if (cand.passed > base.passed || (cand.passed === base.passed && cand.issues < base.issues)) {
+    console.log(`✅ ${candidate} scores better than ${baseline}`);
+  } else if (cand.passed === base.passed && cand.issues === base.issues) {
+    console.log(`➖ ${candidate} and ${baseline} score the same`);
+  } else {
+    console.log(`⚠ ${candidate} scores worse than ${baseline}`);
+  }
+}
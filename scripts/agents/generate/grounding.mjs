@@ -0,0 +1,187 @@
+/**
+ * GENERATE Agent - Fact Grounding Checks
+ *
+ * Extracts checkable claims from generated text (prices, review scores,
+ * review counts, ketamine feature assertions) and cross-checks them against
+ * the software JSON and aggregated reviews the prompt was built from.
+ *
+ * Any claim that cannot be traced back to the source data is reported as a
+ * contradiction so the entry can be failed instead of saved.
+ */
+
+/**
+ * Phrases that assert a ketamine feature in generated text
+ */
+const FEATURE_PATTERNS = {
+  iv_protocols: /\b(?:IV|intravenous)\b[^.;,]{0,30}?\bprotocols?\b/i,
+  im_protocols: /\b(?:IM|intramuscular)\b[^.;,]{0,30}?\bprotocols?\b/i,
+  outcome_tracking: /\boutcomes?[- ]tracking\b|\btrack(?:s|ing)? (?:patient |treatment )?outcomes\b/i,
+  spravato_workflows: /\bspravato\b|\besketamine\b|\bREMS\b/i,
+  patient_rating_scales: /\brating scales?\b|\bPHQ-9\b|\bGAD-7\b|\bvalidated scales?\b/i,
+  ketamine_consent_forms: /\bconsent forms?\b/i,
+  treatment_series_tracking: /\b(?:treatment|infusion) series\b|\bseries tracking\b/i,
+};
+
+const FEATURE_LABELS = {
+  iv_protocols: 'IV protocols',
+  im_protocols: 'IM protocols',
+  outcome_tracking: 'outcome tracking',
+  spravato_workflows: 'SPRAVATO workflows',
+  patient_rating_scales: 'rating scales',
+  ketamine_consent_forms: 'consent forms',
+  treatment_series_tracking: 'treatment series tracking',
+};
+
+const NEGATION = /\b(?:no|not|lacks?|lacking|without|missing|absent|never|neither|nor)\b|n't\b/i;
+
+// Clause boundaries used to attribute a claim to a single product
+const CLAUSE_SPLIT = /[.;!?]\s+|\n+|,?\s+(?:while|whereas|but|although)\s+/i;
+
+const PRICE_PATTERN = /\$\s?(\d{1,3}(?:,\d{3})*(?:\.\d{1,2})?|\d+(?:\.\d{1,2})?)/g;
+const RATING_PATTERN = /\b([0-5](?:\.\d)?)\s*(?:\/\s*5\b|out of 5\b|stars?\b)/gi;
+const REVIEW_COUNT_PATTERN = /\b(\d{1,3}(?:,\d{3})+|\d+)\+?\s+(?:\w+\s+)?reviews?\b/gi;
+
+function toNumber(value) {
+  return Number(String(value).replace(/,/g, ''));
+}
+
+function escapeRegex(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Names a product may be referred to by in generated text
+ */
+function productAliases(software) {
+  const aliases = new Set([software.name, software.slug]);
+  const firstWord = software.name.split(/\s+/)[0];
+  if (firstWord.length >= 4) aliases.add(firstWord);
+  return [...aliases].map((a) => new RegExp(`\\b${escapeRegex(a)}\\b`, 'i'));
+}
+
+/**
+ * Every dollar amount stated anywhere in a product's pricing data
+ */
+function knownPrices(software) {
+  const prices = new Set();
+  if (typeof software.pricing?.starting_price === 'number') {
+    prices.add(software.pricing.starting_price);
+  }
+  for (const match of (software.pricing?.notes || '').matchAll(PRICE_PATTERN)) {
+    prices.add(toNumber(match[1]));
+  }
+  return prices;
+}
+
+function knownRatings(reviews) {
+  const ratings = new Set();
+  if (typeof reviews?.aggregateScore === 'number') ratings.add(reviews.aggregateScore);
+  for (const source of reviews?.sources || []) ratings.add(source.score);
+  return ratings;
+}
+
+function knownReviewCounts(reviews) {
+  const counts = new Set();
+  if (reviews?.totalCount) counts.add(reviews.totalCount);
+  for (const source of reviews?.sources || []) counts.add(source.count);
+  return counts;
+}
+
+/**
+ * Extract checkable claims from generated text
+ */
+export function extractClaims(content) {
+  const prices = [...content.matchAll(PRICE_PATTERN)].map((m) => ({
+    text: m[0],
+    value: toNumber(m[1]),
+  }));
+
+  const ratings = [...content.matchAll(RATING_PATTERN)].map((m) => ({
+    text: m[0],
+    value: Number(m[1]),
+  }));
+
+  const reviewCounts = [...content.matchAll(REVIEW_COUNT_PATTERN)].map((m) => ({
+    text: m[0],
+    value: toNumber(m[1]),
+  }));
+
+  const features = [];
+  for (const clause of content.split(CLAUSE_SPLIT)) {
+    for (const [feature, pattern] of Object.entries(FEATURE_PATTERNS)) {
+      if (pattern.test(clause)) {
+        features.push({
+          feature,
+          text: clause.trim(),
+          negated: NEGATION.test(clause),
+        });
+      }
+    }
+  }
+
+  return { prices, ratings, reviewCounts, features };
+}
+
+/**
+ * Check generated text against the source data for the products involved
+ *
+ * @param {string} content - Generated text
+ * @param {object} context
+ * @param {object[]} context.software - Software JSON for every product in the prompt
+ * @param {object} context.reviews - Aggregated reviews keyed by slug
+ * @param {object} [context.subject] - Product that unattributed claims refer to
+ *   (e.g. the profiled vendor in a summary)
+ * @returns {{ passed: boolean, contradictions: string[] }}
+ */
+export function checkGrounding(content, { software, reviews = {}, subject = null }) {
+  const claims = extractClaims(content);
+  const contradictions = [];
+
+  // Prices: every amount must appear in some involved product's pricing
+  const allPrices = new Set(software.flatMap((s) => [...knownPrices(s)]));
+  for (const price of claims.prices) {
+    if (!allPrices.has(price.value)) {
+      contradictions.push(`Price "${price.text}" does not match pricing data for ${software.map((s) => s.name).join(', ')}`);
+    }
+  }
+
+  // Ratings and review counts: must match aggregated review data
+  const allRatings = new Set(software.flatMap((s) => [...knownRatings(reviews[s.slug])]));
+  for (const rating of claims.ratings) {
+    if (!allRatings.has(rating.value)) {
+      contradictions.push(`Rating "${rating.text}" does not match review data`);
+    }
+  }
+
+  const allCounts = new Set(software.flatMap((s) => [...knownReviewCounts(reviews[s.slug])]));
+  for (const count of claims.reviewCounts) {
+    if (!allCounts.has(count.value)) {
+      contradictions.push(`Review count "${count.text}" does not match review data`);
+    }
+  }
+
+  // Feature assertions: attribute each clause to exactly one product
+  const aliases = software.map((s) => ({ software: s, patterns: productAliases(s) }));
+  for (const claim of claims.features) {
+    const mentioned = aliases.filter((a) => a.patterns.some((p) => p.test(claim.text)));
+    const target = mentioned.length === 1 ? mentioned[0].software : mentioned.length === 0 ? subject : null;
+    if (!target) continue;
+
+    const hasFeature = target.ketamine_features?.[claim.feature];
+    if (typeof hasFeature !== 'boolean') continue;
+
+    const label = FEATURE_LABELS[claim.feature];
+    if (!claim.negated && !hasFeature) {
+      contradictions.push(`Claims ${target.name} supports ${label}, but ketamine_features.${claim.feature} is false: "${claim.text}"`);
+    } else if (claim.negated && hasFeature) {
+      contradictions.push(`Claims ${target.name} lacks ${label}, but ketamine_features.${claim.feature} is true: "${claim.text}"`);
+    }
+  }
+
+  return {
+    passed: contradictions.length === 0,
+    contradictions,
+  };
+}
+
+export default checkGrounding;
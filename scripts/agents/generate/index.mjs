@@ -7,30 +7,55 @@
  * - Comparison pages (/compare/[v1]-vs-[v2])
  * - Alternative pages (/software/[slug]/alternatives)
  * - Vendor summaries (/software/[slug])
+ * - Vendor FAQs (/software/[slug], with FAQPage structured data)
+ * - Persona intros (/for/[persona])
  *
  * Usage:
- *   node scripts/agents/generate/index.mjs [--type=comparison|alternatives|vendorSummary] [--dry-run] [--limit=N]
+ *   node scripts/agents/generate/index.mjs [--type=comparison|alternatives|vendorSummary|faq|personaIntro] [--dry-run] [--limit=N]
+ *     [--force] [--stale-only] [--provider=anthropic|mock] [--max-attempts=N]
+ *   node scripts/agents/generate/index.mjs review [<type> <key>] [--approve|--reject] [--notes="..."]
+ *   node scripts/agents/generate/index.mjs eval --type=<type> [--baseline=<version>] [--candidate=<version>]
+ *     [--provider=mock|recorded|anthropic] [--record]
+ *
+ * Entries are only regenerated when their inputs (software data, reviews,
+ * prompt template) changed since they were saved. --force regenerates
+ * everything; --stale-only lists what would be regenerated and why.
+ *
+ * Output that fails quality or fact-grounding checks is retried with the
+ * violations fed back into the prompt, up to --max-attempts times. Entries
+ * that still fail are saved with status "rejected" and never rendered.
+ *
+ * Everything else is saved as a "draft". Pages only render approved
+ * content, so each draft goes through `review` before it ships (see review.mjs).
+ *
+ * Entries record the version id of the prompt that produced them; `eval`
+ * scores two prompt versions against each other offline (see eval.mjs).
  *
  * Environment:
- *   ANTHROPIC_API_KEY - Required for Claude API
+ *   GENERATE_PROVIDER - LLM provider: anthropic (default) or mock (offline, deterministic);
+ *                       overridden by --provider=<name>
+ *   ANTHROPIC_API_KEY - Required for the anthropic provider
+ *   ANTHROPIC_MODEL   - Optional model override for the anthropic provider
  */
 
-import Anthropic from '@anthropic-ai/sdk';
-import fs from 'fs/promises';
-import path from 'path';
-import { fileURLToPath } from 'url';
-import { PROMPTS, QUALITY_CHECKS } from './prompts.mjs';
+import { PROMPTS, PROMPT_VERSIONS, QUALITY_CHECKS } from './prompts.mjs';
+import { checkGrounding } from './grounding.mjs';
+import { checkQuality, claimText, parseFaqs, withFeedback } from './quality.mjs';
+import { buildInputs, getStaleReasons } from './inputs.mjs';
+import { createProvider } from './providers.mjs';
+import { loadSoftwareData, loadReviews, loadPersonas, loadGenerated, saveGenerated, withReviewState } from './store.mjs';
+import { runReview } from './review.mjs';
+import { runEval } from './eval.mjs';
+import { rankAlternatives } from '../../../src/lib/similarity.mjs';
+import { rankForPersona } from '../../../src/lib/personas.mjs';
 
-const __dirname = path.dirname(fileURLToPath(import.meta.url));
-const ROOT = path.resolve(__dirname, '../../..');
-const DATA_DIR = path.join(ROOT, 'data');
-const CONTENT_DIR = path.join(ROOT, 'src', 'content', 'software');
-const GENERATED_DIR = path.join(DATA_DIR, 'generated');
+// Optional leading command (e.g. `review`); everything else is --flags
+const COMMAND = process.argv[2] && !process.argv[2].startsWith('--') ? process.argv[2] : 'generate';
 
 // Parse CLI args
-const args = process.argv.slice(2).reduce((acc, arg) => {
-  const [key, value] = arg.replace('--', '').split('=');
-  acc[key] = value || true;
+const args = process.argv.slice(2).filter((arg) => arg.startsWith('--')).reduce((acc, arg) => {
+  const [key, ...value] = arg.replace('--', '').split('=');
+  acc[key] = value.join('=') || true;
   return acc;
 }, {});
 
@@ -38,102 +63,87 @@ const DRY_RUN = args['dry-run'] || false;
 const CONTENT_TYPE = args.type || 'all';
 const LIMIT = args.limit ? parseInt(args.limit) : Infinity;
 const FORCE = args.force || false;
+const STALE_ONLY = args['stale-only'] || false;
+const MAX_ATTEMPTS = args['max-attempts'] ? parseInt(args['max-attempts']) : QUALITY_CHECKS.maxAttempts;
+const PROVIDER = args.provider || process.env.GENERATE_PROVIDER || 'anthropic';
 
-// Initialize Anthropic client
-const anthropic = new Anthropic();
+// LLM provider, created in main() only when content will actually be generated
+let provider = null;
 
 /**
- * Load software data from content collection
+ * Reasons an entry should be (re)generated, or null to skip it
  */
-async function loadSoftwareData() {
-  const files = await fs.readdir(CONTENT_DIR);
-  const software = [];
-
-  for (const file of files) {
-    if (file.endsWith('.json')) {
-      const content = await fs.readFile(path.join(CONTENT_DIR, file), 'utf-8');
-      software.push(JSON.parse(content));
-    }
-  }
-
-  return software;
-}
-
-/**
- * Load review data
- */
-async function loadReviews() {
-  try {
-    const reviewsPath = path.join(DATA_DIR, 'reviews', 'aggregated-reviews.json');
-    return JSON.parse(await fs.readFile(reviewsPath, 'utf-8'));
-  } catch {
-    return {};
-  }
+function staleReasons(entry, fingerprint) {
+  if (FORCE) return ['--force'];
+  const reasons = getStaleReasons(entry, fingerprint);
+  return reasons.length > 0 ? reasons : null;
 }
 
 /**
- * Load existing generated content
+ * Per-type run summary line
  */
-async function loadGenerated(type) {
-  try {
-    const filePath = path.join(GENERATED_DIR, `${type}.json`);
-    return JSON.parse(await fs.readFile(filePath, 'utf-8'));
-  } catch {
-    return {};
+function logCounts({ generated, skipped, rejected }) {
+  if (STALE_ONLY) {
+    console.log(`  ✓ Stale: ${generated}, Up to date: ${skipped}`);
+  } else {
+    console.log(`  ✓ Generated: ${generated}, Skipped: ${skipped}, Rejected: ${rejected}`);
   }
 }
 
 /**
- * Save generated content
+ * Call the LLM provider to generate content
+ *
+ * `facts` is the source data the prompt was built from (see grounding.mjs).
+ * Returns null if the provider errors, otherwise an entry; entries that
+ * never pass the checks carry status 'rejected' and their violations.
  */
-async function saveGenerated(type, data) {
-  await fs.mkdir(GENERATED_DIR, { recursive: true });
-  const filePath = path.join(GENERATED_DIR, `${type}.json`);
-  await fs.writeFile(filePath, JSON.stringify(data, null, 2));
-  console.log(`✓ Saved ${Object.keys(data).length} entries to ${type}.json`);
-}
+async function generateContent(prompt, type, facts) {
+  let attemptPrompt = prompt;
+  let content = null;
+  let wordCount = 0;
+  let violations = [];
+  let attempts = 0;
 
-/**
- * Call Claude API to generate content
- */
-async function generateContent(prompt, type) {
   try {
-    const response = await anthropic.messages.create({
-      model: 'claude-sonnet-4-20250514',
-      max_tokens: 1024,
-      messages: [{ role: 'user', content: prompt }],
-    });
+    while (attempts < MAX_ATTEMPTS) {
+      attempts++;
+      content = await provider.complete(attemptPrompt, { maxTokens: 1024 });
 
-    const content = response.content[0].text.trim();
+      const quality = checkQuality(content, type);
+      const grounding = checkGrounding(claimText(content, type), facts);
+      wordCount = quality.wordCount;
+      violations = [...quality.violations, ...grounding.contradictions];
 
-    // Quality checks
-    const wordCount = content.split(/\s+/).length;
-    if (wordCount < QUALITY_CHECKS.minWords) {
-      console.warn(`  ⚠ Content too short (${wordCount} words)`);
-    }
-    if (wordCount > QUALITY_CHECKS.maxWords) {
-      console.warn(`  ⚠ Content too long (${wordCount} words)`);
-    }
+      if (violations.length === 0) break;
 
-    // Check for banned phrases
-    const foundBanned = QUALITY_CHECKS.bannedPhrases.filter(phrase =>
-      content.toLowerCase().includes(phrase.toLowerCase())
-    );
-    if (foundBanned.length > 0) {
-      console.warn(`  ⚠ Contains AI-ish phrases: ${foundBanned.join(', ')}`);
-    }
+      console.warn(`  ⚠ Attempt ${attempts}/${MAX_ATTEMPTS} failed ${violations.length} check(s):`);
+      for (const violation of violations) {
+        console.warn(`    - ${violation}`);
+      }
 
-    return {
-      content,
-      wordCount,
-      generatedAt: new Date().toISOString(),
-      model: 'claude-sonnet-4-20250514',
-      warnings: foundBanned.length > 0 ? foundBanned : undefined,
-    };
+      // Feed the violations back for the next attempt
+      attemptPrompt = withFeedback(prompt, violations);
+    }
   } catch (error) {
     console.error(`  ✗ Generation failed: ${error.message}`);
     return null;
   }
+
+  const entry = {
+    content,
+    wordCount,
+    generatedAt: new Date().toISOString(),
+    model: provider.model,
+    promptVersion: PROMPT_VERSIONS[type],
+    attempts,
+  };
+
+  if (violations.length > 0) {
+    console.warn(`  ✗ Rejected after ${attempts} attempt(s)`);
+    return { ...entry, status: 'rejected', violations };
+  }
+
+  return entry;
 }
 
 /**
@@ -157,22 +167,25 @@ async function generateComparisons(software, reviews) {
 
   let generated = 0;
   let skipped = 0;
+  let rejected = 0;
 
   for (const [softwareA, softwareB] of pairs) {
-    if (generated >= LIMIT) break;
+    if (generated + rejected >= LIMIT) break;
 
     const key = `${softwareA.slug}-vs-${softwareB.slug}`;
 
-    // Skip if already generated (unless --force)
-    if (existing[key] && !FORCE) {
+    // Skip if inputs are unchanged since the entry was generated (unless --force)
+    const fingerprint = buildInputs({ type: 'comparison', software: [softwareA, softwareB], reviews });
+    const reasons = staleReasons(existing[key], fingerprint);
+    if (!reasons) {
       skipped++;
       continue;
     }
 
-    console.log(`  Generating: ${softwareA.name} vs ${softwareB.name}`);
+    console.log(`  ${STALE_ONLY ? 'Stale' : 'Generating'}: ${softwareA.name} vs ${softwareB.name} (${reasons.join('; ')})`);
 
-    if (DRY_RUN) {
-      console.log(`    [DRY RUN] Would generate comparison`);
+    if (DRY_RUN || STALE_ONLY) {
+      if (DRY_RUN) console.log(`    [DRY RUN] Would generate comparison`);
       generated++;
       continue;
     }
@@ -181,21 +194,28 @@ async function generateComparisons(software, reviews) {
     const reviewsB = reviews[softwareB.slug] || null;
 
     const prompt = PROMPTS.comparison({ softwareA, softwareB, reviewsA, reviewsB });
-    const result = await generateContent(prompt, 'comparison');
+    const result = await generateContent(prompt, 'comparison', {
+      software: [softwareA, softwareB],
+      reviews,
+    });
 
     if (result) {
-      existing[key] = result;
-      generated++;
+      existing[key] = withReviewState({ ...result, ...fingerprint }, existing[key]);
+      if (result.status === 'rejected') {
+        rejected++;
+      } else {
+        generated++;
+      }
 
       // Save after each generation
       await saveGenerated('comparisons', existing);
 
       // Rate limiting
-      await new Promise(resolve => setTimeout(resolve, 1000));
+      await new Promise(resolve => setTimeout(resolve, provider.delayMs));
     }
   }
 
-  console.log(`  ✓ Generated: ${generated}, Skipped: ${skipped}`);
+  logCounts({ generated, skipped, rejected });
   return existing;
 }
 
@@ -209,42 +229,52 @@ async function generateAlternatives(software, reviews) {
 
   let generated = 0;
   let skipped = 0;
+  let rejected = 0;
 
   for (const sw of software) {
-    if (generated >= LIMIT) break;
+    if (generated + rejected >= LIMIT) break;
 
     const key = sw.slug;
 
-    if (existing[key] && !FORCE) {
+    // Closest substitutes, same ranking as the alternatives page
+    const ranked = rankAlternatives(sw, software, 5);
+    const alternatives = ranked.map((r) => r.software);
+
+    const fingerprint = buildInputs({ type: 'alternatives', software: [sw, ...alternatives], reviews });
+    const reasons = staleReasons(existing[key], fingerprint);
+    if (!reasons) {
       skipped++;
       continue;
     }
 
-    console.log(`  Generating alternatives for: ${sw.name}`);
+    console.log(`  ${STALE_ONLY ? 'Stale' : 'Generating'} alternatives for: ${sw.name} (${reasons.join('; ')})`);
 
-    if (DRY_RUN) {
-      console.log(`    [DRY RUN] Would generate alternatives`);
+    if (DRY_RUN || STALE_ONLY) {
+      if (DRY_RUN) console.log(`    [DRY RUN] Would generate alternatives`);
       generated++;
       continue;
     }
 
-    // Find alternatives (other software)
-    const alternatives = software
-      .filter(s => s.slug !== sw.slug)
-      .slice(0, 5);
-
-    const prompt = PROMPTS.alternatives({ software: sw, alternatives });
-    const result = await generateContent(prompt, 'alternatives');
+    const prompt = PROMPTS.alternatives({ software: sw, alternatives: ranked });
+    const result = await generateContent(prompt, 'alternatives', {
+      software: [sw, ...alternatives],
+      reviews,
+      subject: sw,
+    });
 
     if (result) {
-      existing[key] = result;
-      generated++;
+      existing[key] = withReviewState({ ...result, ...fingerprint }, existing[key]);
+      if (result.status === 'rejected') {
+        rejected++;
+      } else {
+        generated++;
+      }
       await saveGenerated('alternatives', existing);
-      await new Promise(resolve => setTimeout(resolve, 1000));
+      await new Promise(resolve => setTimeout(resolve, provider.delayMs));
     }
   }
 
-  console.log(`  ✓ Generated: ${generated}, Skipped: ${skipped}`);
+  logCounts({ generated, skipped, rejected });
   return existing;
 }
 
@@ -258,42 +288,175 @@ async function generateVendorSummaries(software, reviews) {
 
   let generated = 0;
   let skipped = 0;
+  let rejected = 0;
 
   for (const sw of software) {
-    if (generated >= LIMIT) break;
+    if (generated + rejected >= LIMIT) break;
 
     const key = sw.slug;
 
-    if (existing[key] && !FORCE) {
+    const swReviews = reviews[sw.slug] || null;
+    const competitors = rankAlternatives(sw, software, 3).map((r) => r.software);
+
+    const fingerprint = buildInputs({ type: 'vendorSummary', software: [sw, ...competitors], reviews });
+    const reasons = staleReasons(existing[key], fingerprint);
+    if (!reasons) {
       skipped++;
       continue;
     }
 
-    console.log(`  Generating summary for: ${sw.name}`);
+    console.log(`  ${STALE_ONLY ? 'Stale' : 'Generating'} summary for: ${sw.name} (${reasons.join('; ')})`);
 
-    if (DRY_RUN) {
-      console.log(`    [DRY RUN] Would generate summary`);
+    if (DRY_RUN || STALE_ONLY) {
+      if (DRY_RUN) console.log(`    [DRY RUN] Would generate summary`);
       generated++;
       continue;
     }
 
-    const swReviews = reviews[sw.slug] || null;
-    const competitors = software
-      .filter(s => s.slug !== sw.slug)
-      .slice(0, 3);
-
     const prompt = PROMPTS.vendorSummary({ software: sw, reviews: swReviews, competitors });
-    const result = await generateContent(prompt, 'vendorSummary');
+    const result = await generateContent(prompt, 'vendorSummary', {
+      software: [sw, ...competitors],
+      reviews,
+      subject: sw,
+    });
 
     if (result) {
-      existing[key] = result;
-      generated++;
+      existing[key] = withReviewState({ ...result, ...fingerprint }, existing[key]);
+      if (result.status === 'rejected') {
+        rejected++;
+      } else {
+        generated++;
+      }
       await saveGenerated('vendor-summaries', existing);
-      await new Promise(resolve => setTimeout(resolve, 1000));
+      await new Promise(resolve => setTimeout(resolve, provider.delayMs));
     }
   }
 
-  console.log(`  ✓ Generated: ${generated}, Skipped: ${skipped}`);
+  logCounts({ generated, skipped, rejected });
+  return existing;
+}
+
+/**
+ * Generate FAQ question/answer pairs for each vendor
+ */
+async function generateFaqs(software, reviews) {
+  console.log('\n📝 Generating vendor FAQs...');
+
+  const existing = await loadGenerated('faqs');
+
+  let generated = 0;
+  let skipped = 0;
+  let rejected = 0;
+
+  for (const sw of software) {
+    if (generated + rejected >= LIMIT) break;
+
+    const key = sw.slug;
+
+    const fingerprint = buildInputs({ type: 'faq', software: [sw], reviews });
+    const reasons = staleReasons(existing[key], fingerprint);
+    if (!reasons) {
+      skipped++;
+      continue;
+    }
+
+    console.log(`  ${STALE_ONLY ? 'Stale' : 'Generating'} FAQ for: ${sw.name} (${reasons.join('; ')})`);
+
+    if (DRY_RUN || STALE_ONLY) {
+      if (DRY_RUN) console.log(`    [DRY RUN] Would generate FAQ`);
+      generated++;
+      continue;
+    }
+
+    const prompt = PROMPTS.faq({ software: sw, reviews: reviews[sw.slug] || null });
+    const result = await generateContent(prompt, 'faq', {
+      software: [sw],
+      reviews,
+      subject: sw,
+    });
+
+    if (result) {
+      // Structured pairs for the page and its FAQPage JSON-LD
+      const faqs = result.status === 'rejected' ? null : parseFaqs(result.content);
+      existing[key] = withReviewState({ ...result, ...(faqs ? { faqs } : {}), ...fingerprint }, existing[key]);
+      if (result.status === 'rejected') {
+        rejected++;
+      } else {
+        generated++;
+      }
+      await saveGenerated('faqs', existing);
+      await new Promise(resolve => setTimeout(resolve, provider.delayMs));
+    }
+  }
+
+  logCounts({ generated, skipped, rejected });
+  return existing;
+}
+
+/**
+ * Generate intros for persona landing pages
+ */
+async function generatePersonaIntros(software, reviews) {
+  console.log('\n📝 Generating persona intros...');
+
+  const existing = await loadGenerated('persona-intros');
+  const personas = await loadPersonas();
+
+  let generated = 0;
+  let skipped = 0;
+  let rejected = 0;
+
+  for (const persona of personas) {
+    if (generated + rejected >= LIMIT) break;
+
+    const key = persona.slug;
+
+    // Same ranking as the /for/[persona] page
+    const matches = rankForPersona(persona, software, reviews).slice(0, 5);
+    if (matches.length === 0) {
+      console.warn(`  ⚠ No software matches persona ${persona.slug}, skipping`);
+      continue;
+    }
+
+    const fingerprint = buildInputs({
+      type: 'personaIntro',
+      software: matches.map((m) => m.software),
+      reviews,
+      context: { persona },
+    });
+    const reasons = staleReasons(existing[key], fingerprint);
+    if (!reasons) {
+      skipped++;
+      continue;
+    }
+
+    console.log(`  ${STALE_ONLY ? 'Stale' : 'Generating'} intro for persona: ${persona.name} (${reasons.join('; ')})`);
+
+    if (DRY_RUN || STALE_ONLY) {
+      if (DRY_RUN) console.log(`    [DRY RUN] Would generate persona intro`);
+      generated++;
+      continue;
+    }
+
+    const prompt = PROMPTS.personaIntro({ persona, matches });
+    const result = await generateContent(prompt, 'personaIntro', {
+      software: matches.map((m) => m.software),
+      reviews,
+    });
+
+    if (result) {
+      existing[key] = withReviewState({ ...result, ...fingerprint }, existing[key]);
+      if (result.status === 'rejected') {
+        rejected++;
+      } else {
+        generated++;
+      }
+      await saveGenerated('persona-intros', existing);
+      await new Promise(resolve => setTimeout(resolve, provider.delayMs));
+    }
+  }
+
+  logCounts({ generated, skipped, rejected });
   return existing;
 }
 
@@ -306,10 +469,17 @@ async function main() {
   console.log(`   Dry Run: ${DRY_RUN}`);
   console.log(`   Limit: ${LIMIT === Infinity ? 'none' : LIMIT}`);
   console.log(`   Force: ${FORCE}`);
-
-  if (!process.env.ANTHROPIC_API_KEY && !DRY_RUN) {
-    console.error('\n✗ ANTHROPIC_API_KEY environment variable required');
-    process.exit(1);
+  console.log(`   Stale Only: ${STALE_ONLY}`);
+  console.log(`   Provider: ${PROVIDER}`);
+
+  if (!DRY_RUN && !STALE_ONLY) {
+    try {
+      provider = createProvider(PROVIDER);
+    } catch (error) {
+      console.error(`\n✗ ${error.message}`);
+      process.exit(1);
+    }
+    console.log(`   Model: ${provider.model}`);
   }
 
   const software = await loadSoftwareData();
@@ -319,7 +489,7 @@ async function main() {
   console.log(`   Reviews available for ${Object.keys(reviews).length} products`);
 
   const types = CONTENT_TYPE === 'all'
-    ? ['comparison', 'alternatives', 'vendorSummary']
+    ? ['comparison', 'alternatives', 'vendorSummary', 'faq', 'personaIntro']
     : [CONTENT_TYPE];
 
   for (const type of types) {
@@ -333,6 +503,12 @@ async function main() {
       case 'vendorSummary':
         await generateVendorSummaries(software, reviews);
         break;
+      case 'faq':
+        await generateFaqs(software, reviews);
+        break;
+      case 'personaIntro':
+        await generatePersonaIntros(software, reviews);
+        break;
       default:
         console.error(`Unknown content type: ${type}`);
     }
@@ -341,4 +517,10 @@ async function main() {
   console.log('\n✅ Generation complete');
 }
 
-main().catch(console.error);
+if (COMMAND === 'review') {
+  runReview(process.argv.slice(3).filter((arg) => !arg.startsWith('--')), args).catch(console.error);
+} else if (COMMAND === 'eval') {
+  runEval(args).catch(console.error);
+} else {
+  main().catch(console.error);
+}
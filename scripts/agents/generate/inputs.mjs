@@ -0,0 +1,134 @@
+/**
+ * GENERATE Agent - Input Hashing for Incremental Regeneration
+ *
+ * Every saved entry records the exact inputs it was generated from: the
+ * prompt version id and a hash of the template itself (so an edit without a
+ * version bump still counts), hashes of the software fields the prompt reads,
+ * and the review data for each product involved. On the next run an entry is only
+ * regenerated when one of those differs, and the differing parts
+ * become the human-readable reasons shown by --stale-only.
+ */
+
+import crypto from 'crypto';
+import { PROMPTS, PROMPT_VERSIONS } from './prompts.mjs';
+
+/**
+ * Software fields that feed into prompts and grounding checks
+ */
+const SOFTWARE_FIELDS = [
+  'name',
+  'website',
+  'description',
+  'software_type',
+  'pricing',
+  'ketamine_features',
+  'general_features',
+  'pros',
+  'cons',
+  'ideal_for',
+];
+
+/**
+ * JSON with sorted object keys so hashes don't depend on key order
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const keys = Object.keys(value).sort();
+    return `{${keys.map((k) => `${JSON.stringify(k)}:${stableStringify(value[k])}`).join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+export function hash(value) {
+  return crypto.createHash('sha256').update(stableStringify(value)).digest('hex').slice(0, 16);
+}
+
+function softwareSubset(software) {
+  return Object.fromEntries(SOFTWARE_FIELDS.map((field) => [field, software[field] ?? null]));
+}
+
+function reviewSubset(reviews) {
+  if (!reviews) return null;
+  return {
+    aggregateScore: reviews.aggregateScore ?? null,
+    totalCount: reviews.totalCount ?? 0,
+    sources: (reviews.sources || []).map(({ source, score, count }) => ({ source, score, count })),
+  };
+}
+
+/**
+ * Build the input fingerprint for one entry
+ *
+ * @param {object} options
+ * @param {string} options.type - Prompt type (key of PROMPTS)
+ * @param {object[]} options.software - Every product the prompt includes
+ * @param {object} options.reviews - Aggregated reviews keyed by slug
+ * @param {object} [options.context] - Other named prompt inputs (e.g. { persona })
+ */
+export function buildInputs({ type, software, reviews = {}, context = {} }) {
+  const inputs = {
+    prompt: PROMPT_VERSIONS[type],
+    template: hash(PROMPTS[type].toString()),
+    software: {},
+    reviews: {},
+  };
+
+  if (Object.keys(context).length > 0) {
+    inputs.context = Object.fromEntries(Object.entries(context).map(([name, value]) => [name, hash(value)]));
+  }
+
+  for (const sw of software) {
+    inputs.software[sw.slug] = hash(softwareSubset(sw));
+    inputs.reviews[sw.slug] = hash(reviewSubset(reviews[sw.slug]));
+  }
+
+  return {
+    inputHash: hash(inputs),
+    inputs,
+  };
+}
+
+/**
+ * Explain why an existing entry is stale for the given inputs
+ *
+ * @returns {string[]} Reasons; empty when the entry is up to date
+ */
+export function getStaleReasons(entry, { inputHash, inputs }) {
+  if (!entry) return ['not generated yet'];
+  if (!entry.inputHash || !entry.inputs) return ['no input hash recorded'];
+  if (entry.status === 'rejected') return ['previously rejected'];
+  if (entry.inputHash === inputHash) return [];
+
+  const reasons = [];
+  const previous = entry.inputs;
+
+  if (previous.prompt !== inputs.prompt) {
+    reasons.push(previous.prompt ? `prompt changed (${previous.prompt} → ${inputs.prompt})` : 'prompt template changed');
+  } else if (previous.template !== inputs.template) {
+    reasons.push(`prompt template changed without a version bump (${inputs.prompt})`);
+  }
+
+  for (const [name, value] of Object.entries(inputs.context || {})) {
+    if (previous.context?.[name] !== value) reasons.push(`${name} changed`);
+  }
+
+  for (const [field, label] of [['software', 'data'], ['reviews', 'reviews']]) {
+    const before = previous[field] || {};
+    const after = inputs[field];
+    for (const slug of Object.keys(after)) {
+      if (!(slug in before)) {
+        reasons.push(`${slug} added to prompt`);
+      } else if (before[slug] !== after[slug]) {
+        reasons.push(`${slug} ${label} changed`);
+      }
+    }
+    for (const slug of Object.keys(before)) {
+      if (!(slug in after)) reasons.push(`${slug} removed from prompt`);
+    }
+  }
+
+  return reasons.length > 0 ? [...new Set(reasons)] : ['inputs changed'];
+}
@@ -2,6 +2,11 @@
  * GENERATE Agent - Prompt Templates for Ketamine Software Directory
  *
  * These prompts are tailored for mental health/ketamine clinic software.
+ *
+ * Every prompt has a version id ("<type>@<n>") that is recorded on the
+ * entries it generates. When editing a template, bump its version in
+ * PROMPT_VERSIONS and move the previous function into ARCHIVED_PROMPTS so
+ * `generate eval` can compare the two (see eval.mjs).
  */
 
 export const PROMPTS = {
@@ -61,8 +66,8 @@ You are writing an intro paragraph for an alternatives page on a ketamine clinic
 - Pricing: ${software.pricing.starting_price ? `$${software.pricing.starting_price}/${software.pricing.billing_cycle}` : software.pricing.model}
 - Ideal for: ${software.ideal_for || 'N/A'}
 
-## Top Alternatives:
-${alternatives.map((alt, i) => `${i + 1}. ${alt.name} (${alt.software_type}) - ${alt.description}`).join('\n')}
+## Top Alternatives (closest substitutes first):
+${alternatives.map(({ software: alt, reasons }, i) => `${i + 1}. ${alt.name} (${alt.software_type}) - ${alt.description}${reasons.length ? ` Similar because: ${reasons.join('; ')}.` : ''}`).join('\n')}
 
 Write an intro paragraph (150-200 words) that:
 1. Acknowledges ${software.name} is a popular choice for ketamine clinics
@@ -112,9 +117,140 @@ Guidelines:
 - If review data exists, mention it naturally
 - Don't oversell - clinic owners appreciate honesty
 - Output ONLY the content, no preamble
+`,
+
+  /**
+   * Vendor FAQ - question/answer pairs for /software/[slug] (FAQPage structured data)
+   * Target: 5-8 pairs, 40-80 words per answer
+   */
+  faq: ({ software, reviews }) => `
+You are writing a short FAQ for a ketamine clinic software profile page. Answers must be based ONLY on the data below.
+
+## Software: ${software.name}
+- Website: ${software.website}
+- Description: ${software.description}
+- Type: ${software.software_type}
+- Pricing model: ${software.pricing.model}
+- Starting price: ${software.pricing.starting_price !== null ? `$${software.pricing.starting_price}/${software.pricing.billing_cycle}` : 'not published'}
+- Pricing notes: ${software.pricing.notes || 'N/A'}
+- Free trial: ${software.pricing.has_free_trial ? 'yes' : 'no'}
+- IV ketamine protocols: ${software.ketamine_features.iv_protocols ? 'yes' : 'no'}
+- IM ketamine protocols: ${software.ketamine_features.im_protocols ? 'yes' : 'no'}
+- SPRAVATO/REMS workflows: ${software.ketamine_features.spravato_workflows ? 'yes' : 'no'}
+- Outcome tracking: ${software.ketamine_features.outcome_tracking ? 'yes' : 'no'}
+- Patient rating scales: ${software.ketamine_features.patient_rating_scales ? 'yes' : 'no'}
+- Ketamine consent forms: ${software.ketamine_features.ketamine_consent_forms ? 'yes' : 'no'}
+- Treatment series tracking: ${software.ketamine_features.treatment_series_tracking ? 'yes' : 'no'}
+- Compliance features: ${software.general_features?.filter(f => f.category === 'Compliance').map(f => `${f.feature} (${f.available ? 'yes' : 'no'})`).join(', ') || 'N/A'}
+- Review Score: ${reviews?.aggregateScore ? `${reviews.aggregateScore}/5 (${reviews.totalCount} reviews)` : 'No reviews yet'}
+
+Write 5-8 questions a ketamine clinic owner would ask about ${software.name}. Cover at least:
+1. Pricing
+2. SPRAVATO/REMS support
+3. IV vs IM ketamine protocols
+4. Free trial
+5. HIPAA compliance
+
+Guidelines:
+- Answer in 1-3 plain sentences, no markdown
+- If the data says "no" or doesn't mention something, say it isn't listed - never guess
+- Only mention prices that appear in the data above
+- Output ONLY a JSON array of objects with "question" and "answer" string fields, no preamble or code fences
+`,
+
+  /**
+   * Persona intro - appears at top of /for/[persona] pages
+   * Target: 150-200 words
+   */
+  personaIntro: ({ persona, matches }) => `
+You are writing an intro paragraph for a ketamine clinic software directory page aimed at one type of clinic.
+
+## Persona: ${persona.name}
+- Description: ${persona.description}
+- Needs: ${persona.needs.join('; ')}
+
+## Best Matching Software (ranked):
+${matches.map(({ software, reasons }, i) => `${i + 1}. ${software.name} (${software.software_type}) - matches on: ${reasons.join(', ') || 'general fit'}`).join('\n')}
+
+Write an intro paragraph (150-200 words) that:
+1. Describes the day-to-day software needs of a ${persona.name.toLowerCase()}
+2. Explains which capabilities matter most and why
+3. Briefly previews the top matches listed below
+4. Ends with one sentence on what to look for during a demo
+
+Guidelines:
+- Speak directly to the clinic owner
+- Only attribute features to a product if they appear in its "matches on" list
+- Don't mention prices or review scores
+- Output ONLY the content, no preamble
 `
 };
 
+/**
+ * Version id of each template in PROMPTS
+ */
+export const PROMPT_VERSIONS = {
+  comparison: 'comparison@1',
+  alternatives: 'alternatives@2',
+  vendorSummary: 'vendorSummary@1',
+  faq: 'faq@1',
+  personaIntro: 'personaIntro@1',
+};
+
+/**
+ * Previous template versions, kept for evaluation against the current ones.
+ * Archived templates take the same arguments as the current version.
+ */
+export const ARCHIVED_PROMPTS = {
+  // Before similarity reasons were listed for each alternative
+  'alternatives@1': ({ software, alternatives }) => `
+You are writing an intro paragraph for an alternatives page on a ketamine clinic software directory.
+
+## Main Software: ${software.name}
+- Description: ${software.description}
+- Type: ${software.software_type}
+- Pricing: ${software.pricing.starting_price ? `$${software.pricing.starting_price}/${software.pricing.billing_cycle}` : software.pricing.model}
+- Ideal for: ${software.ideal_for || 'N/A'}
+
+## Top Alternatives:
+${alternatives.map(({ software: alt }, i) => `${i + 1}. ${alt.name} (${alt.software_type}) - ${alt.description}`).join('\n')}
+
+Write an intro paragraph (150-200 words) that:
+1. Acknowledges ${software.name} is a popular choice for ketamine clinics
+2. Explains why someone might look for alternatives (price, specific ketamine features, practice size)
+3. Briefly previews what alternatives are available
+4. Sets expectations for the comparison below
+
+Guidelines:
+- Be helpful to mental health practitioners
+- Don't trash ${software.name} - just acknowledge different needs exist
+- Mention 2-3 specific reasons someone might want alternatives (e.g., need IV-specific protocols, different pricing model, etc.)
+- Keep it concise - this is an intro, not the full content
+- Output ONLY the content, no preamble
+`,
+};
+
+/**
+ * Look up a template by version id (current or archived)
+ *
+ * @param {string} versionId - e.g. "comparison@1"
+ * @returns {Function|null}
+ */
+export function getPromptTemplate(versionId) {
+  const [type] = versionId.split('@');
+  if (PROMPT_VERSIONS[type] === versionId) return PROMPTS[type];
+  return ARCHIVED_PROMPTS[versionId] || null;
+}
+
+/**
+ * All known version ids for a prompt type, oldest first
+ */
+export function listPromptVersions(type) {
+  const archived = Object.keys(ARCHIVED_PROMPTS).filter((id) => id.startsWith(`${type}@`));
+  return [...archived, PROMPT_VERSIONS[type]]
+    .sort((a, b) => Number(a.split('@')[1]) - Number(b.split('@')[1]));
+}
+
 /**
  * Quality checks for generated content
  */
@@ -122,6 +258,9 @@ export const QUALITY_CHECKS = {
   minWords: 100,
   maxWords: 600,
 
+  // Generation attempts before an entry is saved as rejected
+  maxAttempts: 3,
+
   // Phrases that indicate low-quality AI output
   bannedPhrases: [
     'in conclusion',
@@ -149,7 +288,15 @@ export const QUALITY_CHECKS = {
     comparison: ['differences', 'best for'],
     alternatives: ['alternative', 'option'],
     vendorSummary: ['best for'],
-  }
+    faq: ['pricing', 'spravato', 'trial', 'hipaa'],
+    personaIntro: ['look for'],
+  },
+
+  // FAQ entries must parse to this many question/answer pairs
+  faqCount: { min: 5, max: 8 },
+
+  // Content types whose prompt forbids markdown headers
+  forbidMarkdownHeaders: ['comparison'],
 };
 
 export default PROMPTS;
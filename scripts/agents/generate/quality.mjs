@@ -0,0 +1,107 @@
+/**
+ * GENERATE Agent - Quality Check Enforcement
+ *
+ * Turns QUALITY_CHECKS into a list of violations for a piece of generated
+ * content, and builds the retry prompt that feeds those violations back to
+ * the model.
+ */
+
+import { QUALITY_CHECKS } from './prompts.mjs';
+
+/**
+ * Parse FAQ output into question/answer pairs
+ *
+ * The FAQ prompt asks for a bare JSON array; code fences are tolerated.
+ *
+ * @returns {{ question: string, answer: string }[] | null} null if the output isn't a valid FAQ list
+ */
+export function parseFaqs(content) {
+  const json = content.trim().replace(/^```(?:json)?\s*/, '').replace(/\s*```$/, '');
+  let parsed;
+  try {
+    parsed = JSON.parse(json);
+  } catch {
+    return null;
+  }
+  if (!Array.isArray(parsed)) return null;
+
+  const faqs = parsed.map((item) => ({
+    question: typeof item?.question === 'string' ? item.question.trim() : '',
+    answer: typeof item?.answer === 'string' ? item.answer.trim() : '',
+  }));
+  return faqs.every((faq) => faq.question && faq.answer) ? faqs : null;
+}
+
+/**
+ * The part of the output that makes factual claims
+ *
+ * FAQ questions are not assertions ("Does X support SPRAVATO?"), so only
+ * the answers are fact-grounded.
+ */
+export function claimText(content, type) {
+  if (type !== 'faq') return content;
+  const faqs = parseFaqs(content);
+  return faqs ? faqs.map((faq) => faq.answer).join('\n') : content;
+}
+
+/**
+ * Run every quality check for a content type
+ *
+ * @returns {{ wordCount: number, violations: string[] }}
+ */
+export function checkQuality(content, type) {
+  const violations = [];
+  const lower = content.toLowerCase();
+
+  // Length
+  const wordCount = content.split(/\s+/).filter(Boolean).length;
+  if (wordCount < QUALITY_CHECKS.minWords) {
+    violations.push(`Too short: ${wordCount} words (minimum ${QUALITY_CHECKS.minWords})`);
+  }
+  if (wordCount > QUALITY_CHECKS.maxWords) {
+    violations.push(`Too long: ${wordCount} words (maximum ${QUALITY_CHECKS.maxWords})`);
+  }
+
+  // Required sections/terms
+  const missing = (QUALITY_CHECKS.required[type] || []).filter((term) => !lower.includes(term.toLowerCase()));
+  if (missing.length > 0) {
+    violations.push(`Missing required sections: ${missing.map((t) => `"${t}"`).join(', ')}`);
+  }
+
+  // Banned phrases
+  const foundBanned = QUALITY_CHECKS.bannedPhrases.filter((phrase) => lower.includes(phrase.toLowerCase()));
+  if (foundBanned.length > 0) {
+    violations.push(`Contains banned phrases: ${foundBanned.map((p) => `"${p}"`).join(', ')}`);
+  }
+
+  // Markdown headers
+  if (QUALITY_CHECKS.forbidMarkdownHeaders.includes(type) && /^\s*#{1,6}\s/m.test(content)) {
+    violations.push('Uses markdown headers (use **bold** labels inline instead)');
+  }
+
+  // FAQ structure
+  if (type === 'faq') {
+    const faqs = parseFaqs(content);
+    const { min, max } = QUALITY_CHECKS.faqCount;
+    if (!faqs) {
+      violations.push('Not a JSON array of {"question", "answer"} objects');
+    } else if (faqs.length < min || faqs.length > max) {
+      violations.push(`Has ${faqs.length} questions (expected ${min}-${max})`);
+    }
+  }
+
+  return { wordCount, violations };
+}
+
+/**
+ * Original prompt plus the reasons the previous draft was rejected
+ */
+export function withFeedback(prompt, violations) {
+  return `${prompt.trimEnd()}
+
+Your previous draft was rejected for these reasons:
+${violations.map((v) => `- ${v}`).join('\n')}
+
+Write a new version that fixes every issue above while following all of the original instructions.
+`;
+}
@@ -0,0 +1,254 @@
+/**
+ * GENERATE Agent - Human Review CLI
+ *
+ * Agents propose, humans approve: every generated entry is saved as a
+ * draft, and pages only render approved content. This CLI is the editorial
+ * gate.
+ *
+ * Usage:
+ *   npm run generate:review                               # List drafts awaiting review
+ *   npm run generate:review -- <type> <key>               # Show content, source data and diff
+ *   npm run generate:review -- <type> <key> --approve [--notes="..."]
+ *   npm run generate:review -- <type> <key> --reject --notes="..."
+ *
+ * <type> is comparison, alternatives, vendorSummary, faq or personaIntro; <key> is the entry key
+ * (e.g. "charm-vs-osmind" or "osmind").
+ *
+ * Review states:
+ *   draft     - generated, awaiting human review (not rendered)
+ *   approved  - rendered on the site
+ *   rejected  - failed agent checks or rejected by a reviewer (not rendered,
+ *               regenerated on the next run)
+ */
+
+import { GENERATED_FILES, loadGenerated, saveGenerated, loadSoftwareData, loadReviews } from './store.mjs';
+import { parseFaqs } from './quality.mjs';
+
+const FEATURE_LABELS = {
+  iv_protocols: 'IV',
+  im_protocols: 'IM',
+  outcome_tracking: 'Outcomes',
+  spravato_workflows: 'SPRAVATO',
+  patient_rating_scales: 'Scales',
+  ketamine_consent_forms: 'Consent',
+  treatment_series_tracking: 'Series',
+};
+
+/**
+ * Split text into sentences/lines so diffs stay readable
+ */
+function toUnits(text) {
+  return (text || '')
+    .split(/\n+|(?<=[.!?])\s+/)
+    .map((s) => s.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Line diff (longest common subsequence) between two texts
+ */
+export function diffText(before, after) {
+  const a = toUnits(before);
+  const b = toUnits(after);
+  const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const lines = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      lines.push(`  ${a[i]}`);
+      i++;
+      j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      lines.push(`- ${a[i++]}`);
+    } else {
+      lines.push(`+ ${b[j++]}`);
+    }
+  }
+  while (i < a.length) lines.push(`- ${a[i++]}`);
+  while (j < b.length) lines.push(`+ ${b[j++]}`);
+
+  return lines;
+}
+
+/**
+ * Content as shown to the reviewer (FAQ JSON becomes Q/A lines)
+ */
+function displayText(type, content) {
+  const faqs = type === 'faq' ? parseFaqs(content || '') : null;
+  if (!faqs) return content;
+  return faqs.map(({ question, answer }) => `Q: ${question}\nA: ${answer}`).join('\n\n');
+}
+
+/**
+ * Software slugs an entry was generated from
+ */
+function slugsForEntry(type, key, entry) {
+  if (entry?.inputs?.software) return Object.keys(entry.inputs.software);
+  return type === 'comparison' ? key.split('-vs-') : [key];
+}
+
+function formatPricing(pricing) {
+  if (!pricing) return 'N/A';
+  const price = pricing.starting_price === null ? 'contact' : `$${pricing.starting_price}/${pricing.billing_cycle}`;
+  return `${pricing.model}, ${price}${pricing.notes ? ` - ${pricing.notes}` : ''}`;
+}
+
+function printSourceData(slugs, softwareBySlug, reviews) {
+  console.log('\n--- SOURCE DATA ---');
+  for (const slug of slugs) {
+    const sw = softwareBySlug.get(slug);
+    if (!sw) {
+      console.log(`\n${slug}: (no software file)`);
+      continue;
+    }
+    const features = Object.entries(FEATURE_LABELS)
+      .map(([key, label]) => `${label} ${sw.ketamine_features?.[key] ? '✓' : '✗'}`)
+      .join('  ');
+    const review = reviews[slug];
+    console.log(`\n${sw.name} (${slug}) - ${sw.software_type || 'unclassified'}`);
+    console.log(`  Pricing:  ${formatPricing(sw.pricing)}`);
+    console.log(`  Features: ${features}`);
+    console.log(`  Reviews:  ${review?.aggregateScore ? `${review.aggregateScore}/5 (${review.totalCount} reviews)` : 'none'}`);
+  }
+}
+
+/**
+ * List all drafts (and agent-rejected entries) across content types
+ */
+async function listPending() {
+  console.log('📋 Generated content awaiting review\n');
+  let pending = 0;
+
+  for (const [type, file] of Object.entries(GENERATED_FILES)) {
+    const entries = await loadGenerated(file);
+    const counts = { draft: 0, approved: 0, rejected: 0 };
+    const drafts = [];
+
+    for (const [key, entry] of Object.entries(entries)) {
+      const status = entry.status || 'draft';
+      counts[status] = (counts[status] || 0) + 1;
+      if (status === 'draft') drafts.push({ key, entry });
+    }
+
+    console.log(`${type}: ${counts.draft} draft, ${counts.approved} approved, ${counts.rejected} rejected`);
+    for (const { key, entry } of drafts) {
+      const note = entry.lastApproved ? ' (replaces approved version)' : '';
+      console.log(`  - ${key}${note}`);
+    }
+    pending += drafts.length;
+  }
+
+  console.log(pending > 0
+    ? `\nShow one with: npm run generate:review -- <type> <key>`
+    : '\nNothing to review.');
+}
+
+/**
+ * Show a single entry with its source data and diff against the approved version
+ */
+async function showEntry(type, key, entry) {
+  const [software, reviews] = await Promise.all([loadSoftwareData(), loadReviews()]);
+  const softwareBySlug = new Map(software.map((s) => [s.slug, s]));
+
+  console.log(`📄 ${type} / ${key}`);
+  console.log(`   Status: ${entry.status || 'draft'}`);
+  console.log(`   Generated: ${entry.generatedAt} (${entry.model})`);
+  if (entry.review) {
+    console.log(`   Last review: ${entry.review.status} by ${entry.review.reviewer} on ${entry.review.reviewedAt}`);
+    if (entry.review.notes) console.log(`   Notes: ${entry.review.notes}`);
+  }
+  if (entry.violations?.length) {
+    console.log('   Agent check violations:');
+    for (const violation of entry.violations) console.log(`     - ${violation}`);
+  }
+
+  console.log('\n--- CONTENT ---\n');
+  console.log(displayText(type, entry.content));
+
+  printSourceData(slugsForEntry(type, key, entry), softwareBySlug, reviews);
+
+  console.log('\n--- DIFF VS LAST APPROVED ---\n');
+  if (entry.status === 'approved') {
+    console.log('(this version is approved)');
+  } else if (!entry.lastApproved) {
+    console.log('(no previously approved version)');
+  } else {
+    for (const line of diffText(displayText(type, entry.lastApproved.content), displayText(type, entry.content))) console.log(line);
+  }
+}
+
+/**
+ * Record a reviewer decision on an entry
+ */
+async function decide(file, entries, key, status, args) {
+  const entry = entries[key];
+  const reviewer = typeof args.reviewer === 'string' ? args.reviewer : process.env.USER || 'unknown';
+
+  entry.status = status;
+  entry.review = {
+    status,
+    reviewer,
+    reviewedAt: new Date().toISOString().split('T')[0],
+    notes: typeof args.notes === 'string' ? args.notes : '',
+  };
+
+  // The approved version is now the live one
+  if (status === 'approved') delete entry.lastApproved;
+
+  await saveGenerated(file, entries);
+  console.log(`✓ ${key} marked ${status}`);
+}
+
+/**
+ * CLI entry point for `generate review`
+ *
+ * @param {string[]} positional - [type, key]
+ * @param {object} args - Parsed --flags
+ */
+export async function runReview([type, key] = [], args = {}) {
+  if (!type) {
+    await listPending();
+    return;
+  }
+
+  const file = GENERATED_FILES[type];
+  if (!file) {
+    console.error(`✗ Unknown content type "${type}" (expected ${Object.keys(GENERATED_FILES).join(', ')})`);
+    process.exit(1);
+  }
+
+  const entries = await loadGenerated(file);
+  if (!key || !entries[key]) {
+    console.error(`✗ No ${type} entry "${key || ''}" in ${file}.json`);
+    process.exit(1);
+  }
+
+  if (args.approve && args.reject) {
+    console.error('✗ Pass either --approve or --reject, not both');
+    process.exit(1);
+  }
+
+  if (args.approve) {
+    if (entries[key].status === 'rejected' && entries[key].violations?.length && !args.force) {
+      console.error('✗ Entry failed agent checks; pass --force to approve it anyway');
+      process.exit(1);
+    }
+    await decide(file, entries, key, 'approved', args);
+  } else if (args.reject) {
+    if (typeof args.notes !== 'string') {
+      console.error('✗ --reject requires --notes="reason"');
+      process.exit(1);
+    }
+    await decide(file, entries, key, 'rejected', args);
+  } else {
+    await showEntry(type, key, entries[key]);
+  }
+}
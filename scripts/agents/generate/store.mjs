@@ -0,0 +1,113 @@
+/**
+ * GENERATE Agent - Data Loading and Generated Content Storage
+ *
+ * Shared by the generate run and the review CLI.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const ROOT = path.resolve(__dirname, '../../..');
+const DATA_DIR = path.join(ROOT, 'data');
+const CONTENT_DIR = path.join(ROOT, 'src', 'content', 'software');
+const GENERATED_DIR = path.join(DATA_DIR, 'generated');
+
+/**
+ * data/generated file name for each content type
+ */
+export const GENERATED_FILES = {
+  comparison: 'comparisons',
+  alternatives: 'alternatives',
+  vendorSummary: 'vendor-summaries',
+  faq: 'faqs',
+  personaIntro: 'persona-intros',
+};
+
+/**
+ * Load software data from content collection
+ */
+export async function loadSoftwareData() {
+  const files = await fs.readdir(CONTENT_DIR);
+  const software = [];
+
+  for (const file of files) {
+    if (file.endsWith('.json')) {
+      const content = await fs.readFile(path.join(CONTENT_DIR, file), 'utf-8');
+      software.push(JSON.parse(content));
+    }
+  }
+
+  return software;
+}
+
+/**
+ * Load clinic personas (see src/lib/personas.mjs)
+ */
+export async function loadPersonas() {
+  try {
+    return JSON.parse(await fs.readFile(path.join(DATA_DIR, 'personas', 'personas.json'), 'utf-8'));
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Load review data
+ */
+export async function loadReviews() {
+  try {
+    const reviewsPath = path.join(DATA_DIR, 'reviews', 'aggregated-reviews.json');
+    return JSON.parse(await fs.readFile(reviewsPath, 'utf-8'));
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Load existing generated content
+ */
+export async function loadGenerated(type) {
+  try {
+    const filePath = path.join(GENERATED_DIR, `${type}.json`);
+    return JSON.parse(await fs.readFile(filePath, 'utf-8'));
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Save generated content
+ */
+export async function saveGenerated(type, data) {
+  await fs.mkdir(GENERATED_DIR, { recursive: true });
+  const filePath = path.join(GENERATED_DIR, `${type}.json`);
+  await fs.writeFile(filePath, JSON.stringify(data, null, 2));
+  console.log(`✓ Saved ${Object.keys(data).length} entries to ${type}.json`);
+}
+
+/**
+ * Review state for a freshly generated entry replacing `previous`
+ *
+ * New output always starts as a draft (or rejected, if it failed the
+ * agent's checks). The last human-approved version is carried along so
+ * pages keep rendering it until the new draft is approved.
+ */
+export function withReviewState(entry, previous) {
+  const lastApproved = previous?.status === 'approved'
+    ? {
+        content: previous.content,
+        ...(previous.faqs ? { faqs: previous.faqs } : {}),
+        generatedAt: previous.generatedAt,
+        model: previous.model,
+        review: previous.review,
+      }
+    : previous?.lastApproved;
+
+  return {
+    ...entry,
+    status: entry.status || 'draft',
+    ...(lastApproved ? { lastApproved } : {}),
+  };
+}
@@ -0,0 +1,134 @@
+/**
+ * Agent HTTP Layer - live, record and replay
+ *
+ * Every page request made by the agents (vendor verification, acquisition,
+ * monitor uptime check) goes through httpFetch() so runs can be repeated
+ * offline:
+ * - live: plain network requests (default)
+ * - record: network requests, with every response saved as a fixture
+ * - replay: responses only come from fixtures; a URL without one throws
+ *
+ * Fixtures are JSON files under scripts/agents/fixtures/http/<host>/, one
+ * per method + URL. Network errors are recorded too, so a replayed run sees
+ * the same downtime. Third-party APIs (Apify, Slack) are not routed here.
+ *
+ * Selected with --fetch=<mode> (and --fixtures=<dir>) or FETCH_MODE /
+ * FETCH_FIXTURES_DIR.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DEFAULT_FIXTURES_DIR = path.join(__dirname, 'fixtures', 'http');
+
+export const USER_AGENT =
+  'Mozilla/5.0 (compatible; KetamineSoftwareDirectory/1.0; +https://ketaminesoftware.com)';
+
+export const FETCH_MODES = ['live', 'record', 'replay'];
+
+let mode = process.env.FETCH_MODE || 'live';
+let fixturesDir = process.env.FETCH_FIXTURES_DIR || DEFAULT_FIXTURES_DIR;
+
+/**
+ * Set the fetch mode (and optionally the fixtures directory)
+ */
+export function setFetchMode(nextMode, nextFixturesDir) {
+  if (!FETCH_MODES.includes(nextMode)) {
+    throw new Error(`Unknown fetch mode "${nextMode}" (available: ${FETCH_MODES.join(', ')})`);
+  }
+  mode = nextMode;
+  if (nextFixturesDir) fixturesDir = path.resolve(nextFixturesDir);
+}
+
+/**
+ * Apply --fetch=<mode> and --fixtures=<dir> from CLI args
+ * @returns {string} The active mode
+ */
+export function configureFetchFromArgs(args = process.argv.slice(2)) {
+  const modeArg = args.find((a) => a.startsWith('--fetch='))?.split('=')[1];
+  const dirArg = args.find((a) => a.startsWith('--fixtures='))?.split('=')[1];
+  setFetchMode(modeArg || mode, dirArg);
+  return mode;
+}
+
+export function getFetchMode() {
+  return mode;
+}
+
+/**
+ * Fixture file for a request: <host>/<hash of method + URL>.json
+ */
+export function fixturePath(url, method = 'GET') {
+  let host;
+  try {
+    host = new URL(url).host.replace(/[^a-z0-9.-]/gi, '_');
+  } catch {
+    host = '_invalid';
+  }
+  const key = crypto.createHash('sha256').update(`${method.toUpperCase()} ${url}`).digest('hex').slice(0, 16);
+  return path.join(fixturesDir, host, `${key}.json`);
+}
+
+async function liveFetch(url, method, timeoutMs) {
+  try {
+    const response = await fetch(url, {
+      method,
+      signal: AbortSignal.timeout(timeoutMs),
+      headers: { 'User-Agent': USER_AGENT },
+    });
+    const text = method === 'HEAD' || !response.ok ? null : await response.text();
+
+    return {
+      ok: response.ok,
+      status: response.status,
+      url: response.url || url,
+      redirected: response.redirected,
+      text,
+    };
+  } catch (error) {
+    return { ok: false, status: 0, url, redirected: false, text: null, error: error.message };
+  }
+}
+
+/**
+ * Fetch a URL in the current mode
+ *
+ * Never throws for network failures (they come back as status 0 with
+ * `error`); throws in replay mode when there is no fixture for the request.
+ *
+ * @returns {Promise<{ ok: boolean, status: number, url: string, redirected: boolean, text: string|null, error?: string }>}
+ */
+export async function httpFetch(url, { method = 'GET', timeoutMs = 15000 } = {}) {
+  const file = fixturePath(url, method);
+
+  if (mode === 'replay') {
+    if (!fs.existsSync(file)) {
+      throw new Error(`No fixture for ${method} ${url} (record one with --fetch=record)`);
+    }
+    const { response } = JSON.parse(fs.readFileSync(file, 'utf-8'));
+    return response;
+  }
+
+  const response = await liveFetch(url, method, timeoutMs);
+
+  if (mode === 'record') {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(
+      file,
+      JSON.stringify({ method, url, recordedAt: new Date().toISOString(), response }, null, 2) + '\n'
+    );
+  }
+
+  return response;
+}
+
+/**
+ * Wait between requests to be polite to servers; skipped in replay mode
+ */
+export function politeDelay(ms) {
+  if (mode === 'replay' || ms <= 0) return Promise.resolve();
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
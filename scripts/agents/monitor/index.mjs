@@ -15,11 +15,14 @@
  * Options:
  *   --dry-run    Skip Apify calls, use mock data
  *   --uptime-only  Only run uptime check
+ *   --fetch=live|record|replay  Uptime check through the agent HTTP layer
+ *                (record/replay fixtures, see ../http.mjs)
  */
 
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { httpFetch, configureFetchFromArgs } from '../http.mjs';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const ROOT_DIR = path.resolve(__dirname, '../../..');
@@ -30,6 +33,7 @@ const APIFY_TOKEN = process.env.APIFY_TOKEN;
 const SLACK_WEBHOOK_URL = process.env.SLACK_WEBHOOK_URL;
 const DRY_RUN = process.argv.includes('--dry-run');
 const UPTIME_ONLY = process.argv.includes('--uptime-only');
+const FETCH_MODE = configureFetchFromArgs();
 
 // Apify Google SERP Scraper actor (99.7% success rate, $0.0005/result)
 // Note: Use ~ instead of / for Apify API URLs
@@ -38,6 +42,7 @@ const SERP_ACTOR = 'scraperlink~google-search-results-serp-scraper';
 async function main() {
   console.log('MONITOR Agent starting...');
   console.log(`Dry run: ${DRY_RUN}`);
+  console.log(`Fetch mode: ${FETCH_MODE}`);
 
   const keywords = JSON.parse(fs.readFileSync(KEYWORDS_PATH, 'utf-8'));
   const site = keywords.site;
@@ -109,23 +114,21 @@ async function main() {
 
 async function checkUptime(url) {
   const start = Date.now();
-  try {
-    const response = await fetch(url, {
-      method: 'HEAD',
-      signal: AbortSignal.timeout(10000)
-    });
-    return {
-      status: response.ok ? 'up' : 'degraded',
-      statusCode: response.status,
-      responseTime: Date.now() - start
-    };
-  } catch (error) {
+  const response = await httpFetch(url, { method: 'HEAD', timeoutMs: 10000 });
+  const responseTime = Date.now() - start;
+
+  if (response.status === 0) {
     return {
       status: 'down',
-      error: error.message,
-      responseTime: Date.now() - start
+      error: response.error,
+      responseTime
     };
   }
+  return {
+    status: response.ok ? 'up' : 'degraded',
+    statusCode: response.status,
+    responseTime
+  };
 }
 
 async function checkKeywordRankings(keywords, site) {
@@ -1,15 +1,42 @@
 /**
- * Aggregates review data from G2 and Capterra raw Apify output
+ * Aggregates review data from raw review source output
  *
- * Usage: node scripts/aggregate-reviews.mjs
+ * Usage: node scripts/aggregate-reviews.mjs [options]
+ *
+ *   --snippets         Also read individual review records from the raw files, tag
+ *                      them with themes and write a curated set of quotes per vendor
+ *   --dry-run          Compute and report changes without writing any file
+ *   --<source>=<file>  Read a source's raw data from another file, e.g.
+ *                      --g2=/tmp/g2.json --capterra=/tmp/capterra.json
+ *   --out=<file>       Write only the aggregated reviews, to this file instead of
+ *                      aggregated-reviews.json (changes are still measured against
+ *                      aggregated-reviews.json; snippets, suggestions and history
+ *                      are left alone)
+ *   --report=md|json   Print a per-vendor change report to stdout (markdown table for
+ *                      PR bodies, or JSON); progress logs move to stderr
+ *
+ * Exit codes:
+ *   0 - no change
+ *   1 - errors (missing config, unreadable or malformed input); nothing is written
+ *   2 - changes (review data, anomaly flags, snippets or mapping suggestions differ
+ *       from the committed files)
  *
  * Reads:
- *   - data/reviews/g2-raw.json (from Apify G2 task)
- *   - data/reviews/capterra-raw.json (from Apify Capterra task)
+ *   - data/reviews/<source>-raw.json for every adapter in src/lib/review-sources.mjs
+ *     (g2-raw.json and capterra-raw.json come from Apify tasks; missing files are skipped)
+ *   - data/reviews/manual-reviews.json (hand-entered scores for vendors not on review platforms)
  *   - data/reviews/vendor-mappings.json (slug mappings)
+ *   - data/reviews/scoring-config.json (prior for the confidence-adjusted score)
+ *   - data/reviews/anomaly-rules.json (which changes are treated as a bad scrape)
+ *   - src/content/software/*.json (software_type, for category priors)
  *
  * Outputs:
  *   - data/reviews/aggregated-reviews.json
+ *   - data/reviews/mapping-suggestions.json (unmatched raw entries fuzzy-matched to
+ *     software; accept with scripts/mapping-suggestions.mjs)
+ *   - data/reviews/review-snippets.json (with --snippets; untouched otherwise)
+ *   - data/reviews/history/<vendor>.json (one point appended per run; a second
+ *     run on the same day replaces that day's point)
  *
  * Improvements over CannaStack:
  *   - Better logging with vendor names
@@ -20,15 +47,44 @@
 import fs from 'node:fs';
 import path from 'node:path';
 import { fileURLToPath } from 'node:url';
+import { REVIEW_SOURCES, SUB_RATING_DIMENSIONS, readItem, readReviews } from '../src/lib/review-sources.mjs';
+import { extractSnippet, curateSnippets } from '../src/lib/review-themes.mjs';
+import { writeSuggestions } from './mapping-suggestions.mjs';
+import { adjustScore, categoryPriors, priorFor } from '../src/lib/review-scoring.mjs';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 const REVIEWS_DIR = path.join(__dirname, '../data/reviews');
-const G2_RAW_PATH = path.join(REVIEWS_DIR, 'g2-raw.json');
-const CAPTERRA_RAW_PATH = path.join(REVIEWS_DIR, 'capterra-raw.json');
 const MAPPINGS_PATH = path.join(REVIEWS_DIR, 'vendor-mappings.json');
 const OUTPUT_PATH = path.join(REVIEWS_DIR, 'aggregated-reviews.json');
+const HISTORY_DIR = path.join(REVIEWS_DIR, 'history');
+const ANOMALY_RULES_PATH = path.join(REVIEWS_DIR, 'anomaly-rules.json');
+
+const EXIT_NO_CHANGE = 0;
+const EXIT_ERROR = 1;
+const EXIT_CHANGES = 2;
+
+// Parse CLI args
+const args = process.argv.slice(2).filter((arg) => arg.startsWith('--')).reduce((acc, arg) => {
+  const [key, ...value] = arg.replace('--', '').split('=');
+  acc[key] = value.join('=') || true;
+  return acc;
+}, {});
+
+const DRY_RUN = args['dry-run'] || false;
+const WITH_SNIPPETS = args.snippets || false;
+const OUT_PATH = typeof args.out === 'string' ? path.resolve(args.out) : OUTPUT_PATH;
+// Side files (snippets, suggestions, history) track the committed output only
+const WRITE_SIDE_FILES = OUT_PATH === OUTPUT_PATH;
+const REPORT = args.report || null;
+
+// With --report the report owns stdout
+const log = REPORT ? console.error : console.log;
+const SNIPPETS_PATH = path.join(REVIEWS_DIR, 'review-snippets.json');
+const SUGGESTIONS_PATH = path.join(REVIEWS_DIR, 'mapping-suggestions.json');
+const SCORING_CONFIG_PATH = path.join(REVIEWS_DIR, 'scoring-config.json');
+const SOFTWARE_DIR = path.join(__dirname, '../src/content/software');
 
 function loadJson(filePath) {
   try {
@@ -40,16 +96,6 @@ function loadJson(filePath) {
   }
 }
 
-function extractG2Slug(url) {
-  const match = url.match(/g2\.com\/products\/([^/]+)/);
-  return match ? match[1] : null;
-}
-
-function extractCapterraSlug(url) {
-  const match = url.match(/capterra\.com\/p\/\d+\/([^/]+)/);
-  return match ? match[1].toLowerCase() : null;
-}
-
 function mapToVendorSlug(platformSlug, source, mappings) {
   for (const [vendorSlug, mapping] of Object.entries(mappings.vendors || {})) {
     const platformMapping = mapping?.[source];
@@ -67,17 +113,216 @@ function calculateAggregate(sources) {
   return Math.round((weightedSum / totalCount) * 10) / 10;
 }
 
+/**
+ * Per-dimension sub-ratings, count-weighted across the sources that report
+ * each dimension (dimensions no source reports are left out)
+ */
+function calculateSubRatings(sources) {
+  const subRatings = {};
+  for (const dimension of Object.keys(SUB_RATING_DIMENSIONS)) {
+    const reporting = sources.filter((s) => typeof s.subRatings?.[dimension] === 'number' && s.count > 0);
+    const count = reporting.reduce((sum, s) => sum + s.count, 0);
+    if (count === 0) continue;
+    const weightedSum = reporting.reduce((sum, s) => sum + s.subRatings[dimension] * s.count, 0);
+    subRatings[dimension] = Math.round((weightedSum / count) * 10) / 10;
+  }
+  return subRatings;
+}
+
+/**
+ * Check one vendor's new sources against the previous run
+ *
+ * Rules (data/reviews/anomaly-rules.json, each can be disabled):
+ *   countDecreased - review count fell by more than `tolerance`
+ *   scoreJump      - score moved by more than `maxDelta`
+ *   sourceVanished - a source present last run is missing now
+ *   slugMismatch   - a URL on the matched raw item (any of the adapter's
+ *                    urlFields, e.g. G2 productUrl and url) points at a
+ *                    different platform product than the vendor mapping's
+ *                    slug, i.e. the scrape mixed up two products
+ *
+ * An anomalous source keeps its previous values (or is dropped if it has
+ * none) so a bad scrape never reaches the site.
+ *
+ * @param {Object<string, string[]>} rawUrls - URLs on each matched raw item, by "<vendor>:<source>"
+ * @returns {{ sources: object[], anomalies: { source: string, rule: string, detail: string }[] }}
+ */
+function checkAnomalies(vendorSlug, sources, previousSources, rules, mappings, rawUrls = {}) {
+  const anomalies = [];
+  const prevBySource = new Map((previousSources || []).map((s) => [s.source, s]));
+  const kept = [];
+
+  for (const current of sources) {
+    const prev = prevBySource.get(current.source);
+    const found = [];
+
+    if (rules.slugMismatch?.enabled) {
+      const adapter = REVIEW_SOURCES[current.source];
+      const mappedSlug = mappings.vendors[vendorSlug]?.[current.source]?.slug;
+      for (const url of adapter.direct ? [] : rawUrls[`${vendorSlug}:${current.source}`] || []) {
+        const urlSlug = adapter.extractSlug(url);
+        if (mappedSlug && urlSlug && urlSlug.toLowerCase() !== mappedSlug.toLowerCase()) {
+          found.push({ rule: 'slugMismatch', detail: `raw entry URL ${url} points to "${urlSlug}", mapping says "${mappedSlug}"` });
+          break;
+        }
+      }
+    }
+    if (prev && rules.countDecreased?.enabled && current.count < prev.count - (rules.countDecreased.tolerance || 0)) {
+      found.push({ rule: 'countDecreased', detail: `count ${prev.count} → ${current.count}` });
+    }
+    if (prev && rules.scoreJump?.enabled && Math.abs(current.score - prev.score) > rules.scoreJump.maxDelta) {
+      found.push({ rule: 'scoreJump', detail: `score ${prev.score} → ${current.score}` });
+    }
+
+    if (found.length > 0) {
+      anomalies.push(...found.map((a) => ({ source: current.source, ...a })));
+      if (prev) kept.push(prev);
+    } else {
+      kept.push(current);
+    }
+  }
+
+  if (rules.sourceVanished?.enabled) {
+    const currentSources = new Set(sources.map((s) => s.source));
+    for (const prev of previousSources || []) {
+      if (currentSources.has(prev.source)) continue;
+      anomalies.push({ source: prev.source, rule: 'sourceVanished', detail: `missing from this run (had ${prev.score} from ${prev.count} reviews)` });
+      kept.push(prev);
+    }
+  }
+
+  return { sources: kept, anomalies };
+}
+
+/**
+ * Markdown anomaly section of the change report
+ */
+function anomalySection(result) {
+  const rows = Object.entries(result).flatMap(([slug, data]) =>
+    data.anomalies.map((a) => `| ${slug} | ${a.source} | ${a.rule} | ${a.detail} |`)
+  );
+  if (rows.length === 0) return '## Anomalies\n\nNo anomalies detected.\n';
+
+  return [
+    '## ⚠️ Anomalies',
+    '',
+    `${rows.length} suspicious change(s). Previous values were kept for these sources; check the raw scrape before merging.`,
+    '',
+    '| Vendor | Source | Rule | Detail |',
+    '| --- | --- | --- | --- |',
+    ...rows,
+    '',
+  ].join('\n');
+}
+
+function formatSource(source) {
+  return source ? `${source.score} (${source.count})` : '—';
+}
+
+/**
+ * Per-vendor change report for PR bodies
+ */
+function markdownReport({ changes, result, suggestions, vendorsWithReviews, vendorCount, dryRun }) {
+  const lines = ['## Review Changes', ''];
+  if (dryRun) lines.push('_Dry run: nothing was written._', '');
+  lines.push(`Vendors with reviews: ${vendorsWithReviews}/${vendorCount}`, '');
+
+  if (changes.length === 0) {
+    lines.push('No changes detected.', '');
+  } else {
+    lines.push('| Vendor | Source | Before | After | Change |', '| --- | --- | --- | --- | --- |');
+    for (const change of changes) {
+      for (const c of change.sources) {
+        lines.push(`| ${change.slug} | ${c.source} | ${formatSource(c.before)} | ${formatSource(c.after)} | ${c.type} |`);
+      }
+    }
+    lines.push('');
+  }
+
+  lines.push(anomalySection(result));
+
+  if (suggestions.length > 0) {
+    lines.push('## Mapping Suggestions', '', `${suggestions.length} unmatched scrape entries look like directory vendors:`, '');
+    for (const s of suggestions) {
+      lines.push(`- \`${s.source}:${s.platformSlug}\` → ${s.vendor} (confidence ${s.confidence})`);
+    }
+    lines.push('', 'Accept locally with `node scripts/mapping-suggestions.mjs accept <source>:<platformSlug>`.', '');
+  }
+
+  return lines.join('\n');
+}
+
+function loadSoftwareTypes() {
+  const types = {};
+  for (const file of fs.readdirSync(SOFTWARE_DIR).filter((f) => f.endsWith('.json'))) {
+    const data = loadJson(path.join(SOFTWARE_DIR, file));
+    if (data?.slug) types[data.slug] = data.software_type;
+  }
+  return types;
+}
+
+/**
+ * Append this run's scores to the vendor's time series.
+ * Vendors that have never had reviews don't get a history file.
+ */
+function appendHistory(slug, data, date) {
+  const historyPath = path.join(HISTORY_DIR, `${slug}.json`);
+  const history = loadJson(historyPath) || { vendor: slug, points: [] };
+  if (history.points.length === 0 && data.sources.length === 0) return false;
+
+  const point = {
+    date,
+    aggregateScore: data.aggregateScore,
+    totalCount: data.totalCount,
+    sources: Object.fromEntries(data.sources.map((s) => [s.source, { score: s.score, count: s.count }])),
+  };
+
+  const last = history.points[history.points.length - 1];
+  if (last?.date === date) {
+    history.points[history.points.length - 1] = point;
+  } else {
+    history.points.push(point);
+  }
+
+  fs.mkdirSync(HISTORY_DIR, { recursive: true });
+  fs.writeFileSync(historyPath, JSON.stringify(history, null, 2) + '\n');
+  return true;
+}
+
 function aggregate() {
-  console.log('Starting review aggregation...\n');
+  const modes = [WITH_SNIPPETS && 'with snippets', DRY_RUN && 'dry run'].filter(Boolean);
+  log(`Starting review aggregation${modes.length ? ` (${modes.join(', ')})` : ''}...\n`);
+
+  if (REPORT && !['md', 'json'].includes(REPORT)) {
+    console.error(`ERROR: --report must be md or json, got "${REPORT}"`);
+    return EXIT_ERROR;
+  }
+  const unknownSources = Object.keys(args).filter(
+    (key) => !['dry-run', 'snippets', 'out', 'report'].includes(key) && !REVIEW_SOURCES[key]
+  );
+  if (unknownSources.length > 0) {
+    console.error(`ERROR: Unknown option(s): ${unknownSources.map((k) => `--${k}`).join(', ')}`);
+    return EXIT_ERROR;
+  }
+
+  let errorCount = 0;
 
   const mappings = loadJson(MAPPINGS_PATH);
   if (!mappings?.vendors) {
     console.error('ERROR: Could not load vendor mappings from', MAPPINGS_PATH);
-    process.exit(1);
+    return EXIT_ERROR;
   }
 
   const vendorCount = Object.keys(mappings.vendors).length;
-  console.log(`Loaded mappings for ${vendorCount} vendors`);
+  log(`Loaded mappings for ${vendorCount} vendors`);
+
+  const scoringConfig = loadJson(SCORING_CONFIG_PATH);
+  if (!scoringConfig) {
+    console.error('ERROR: Could not load scoring config from', SCORING_CONFIG_PATH);
+    return EXIT_ERROR;
+  }
+
+  const anomalyRules = loadJson(ANOMALY_RULES_PATH) || {};
 
   const previous = loadJson(OUTPUT_PATH) || {};
   const today = new Date().toISOString().split('T')[0];
@@ -88,12 +333,31 @@ function aggregate() {
     const prev = previous[slug];
     result[slug] = {
       aggregateScore: null,
+      adjustedScore: null,
+      confidence: null,
+      priorMean: null,
+      priorSource: null,
       totalCount: 0,
+      subRatings: {},
       sources: [],
+      anomalies: [],
       lastAggregated: prev?.lastAggregated || today,
     };
   }
 
+  // Raw entries with no vendor mapping, for mapping suggestions
+  const unmatched = [];
+
+  // "<vendor>:<source>" pairs whose mapping matched an entry this run; these
+  // mappings work and are never suggestion targets
+  const matchedPairs = new Set();
+
+  // URLs on each matched raw item, by "<vendor>:<source>" (slugMismatch rule)
+  const rawUrls = {};
+
+  // Raw review records per vendor (--snippets only)
+  const snippetsByVendor = {};
+
   // Helper functions
   function getMappedUrl(vendorSlug, source) {
     return mappings.vendors?.[vendorSlug]?.[source]?.url ?? null;
@@ -103,82 +367,111 @@ function aggregate() {
     return previous?.[vendorSlug]?.sources?.find((s) => s.source === source);
   }
 
-  function makeSource(vendorSlug, source, score, count, url) {
+  function makeSource(vendorSlug, source, score, count, url, subRatings) {
     const prev = getPreviousSource(vendorSlug, source);
     const roundedScore = Math.round(score * 10) / 10;
     const unchanged =
       prev &&
       prev.score === roundedScore &&
       prev.count === count &&
-      prev.url === url;
+      prev.url === url &&
+      JSON.stringify(prev.subRatings || {}) === JSON.stringify(subRatings);
 
     return {
       source,
       score: roundedScore,
       count,
       url,
+      subRatings,
       lastUpdated: unchanged ? prev.lastUpdated : today,
     };
   }
 
-  // Process G2 data
-  const g2Raw = loadJson(G2_RAW_PATH);
-  let g2Matched = 0;
-  if (Array.isArray(g2Raw)) {
-    console.log(`Processing ${g2Raw.length} G2 entries...`);
-    for (const item of g2Raw) {
-      const url = item?.productUrl || item?.url || '';
-      const g2Slug = extractG2Slug(url);
-      if (!g2Slug) continue;
-
-      const vendorSlug = mapToVendorSlug(g2Slug, 'g2', mappings);
-      if (!vendorSlug) continue;
-
-      const score = item?.rating ?? item?.overallRating;
-      const count = item?.reviewCount ?? item?.totalReviews ?? 0;
-      if (typeof score === 'number' && Number.isFinite(score) && typeof count === 'number' && count > 0) {
-        const reviewUrl = getMappedUrl(vendorSlug, 'g2') || `https://www.g2.com/products/${g2Slug}/reviews`;
-        result[vendorSlug].sources.push(makeSource(vendorSlug, 'g2', score, count, reviewUrl));
-        g2Matched++;
+  // Process every review source
+  for (const adapter of Object.values(REVIEW_SOURCES)) {
+    const override = typeof args[adapter.key] === 'string' ? path.resolve(args[adapter.key]) : null;
+    const rawPath = override || path.join(REVIEWS_DIR, adapter.rawFile);
+    const rawName = override || adapter.rawFile;
+    const raw = loadJson(rawPath);
+    if (raw === null) {
+      // A file asked for on the command line must exist and parse
+      if (override || fs.existsSync(rawPath)) {
+        console.error(`ERROR: Could not read ${rawName}, skipping ${adapter.label}`);
+        errorCount++;
+      } else {
+        log(`SKIP: ${rawName} not found`);
       }
+      continue;
+    }
+    if (!Array.isArray(raw)) {
+      console.error(`ERROR: ${rawName} must be an array, skipping ${adapter.label}`);
+      errorCount++;
+      continue;
     }
-    console.log(`  Matched ${g2Matched} vendors from G2`);
-  } else if (g2Raw === null) {
-    console.log('SKIP: g2-raw.json not found (run Apify scraper first)');
-  }
-
-  // Process Capterra data
-  const capterraRaw = loadJson(CAPTERRA_RAW_PATH);
-  let capterraMatched = 0;
-  if (Array.isArray(capterraRaw)) {
-    console.log(`Processing ${capterraRaw.length} Capterra entries...`);
-    for (const item of capterraRaw) {
-      const url = item?.url || item?.productUrl || '';
-      const capterraSlug = extractCapterraSlug(url);
-      if (!capterraSlug) continue;
 
-      const vendorSlug = mapToVendorSlug(capterraSlug, 'capterra', mappings);
-      if (!vendorSlug) continue;
+    log(`Processing ${raw.length} ${adapter.label} entries...`);
+    let matched = 0;
+    for (const item of raw) {
+      const { platformSlug, url, score, count, subRatings } = readItem(adapter, item);
+      if (!platformSlug) continue;
+
+      const vendorSlug = adapter.direct
+        ? (result[platformSlug] ? platformSlug : null)
+        : mapToVendorSlug(platformSlug, adapter.key, mappings);
+      if (!vendorSlug) {
+        if (!adapter.direct) unmatched.push({ source: adapter.key, platformSlug, url, item });
+        continue;
+      }
+      matchedPairs.add(`${vendorSlug}:${adapter.key}`);
 
-      const score = item?.overallRating ?? item?.rating;
-      const count = item?.reviewCount ?? item?.totalReviews ?? 0;
       if (typeof score === 'number' && Number.isFinite(score) && typeof count === 'number' && count > 0) {
-        const reviewUrl = getMappedUrl(vendorSlug, 'capterra') || url;
-        result[vendorSlug].sources.push(makeSource(vendorSlug, 'capterra', score, count, reviewUrl));
-        capterraMatched++;
+        const reviewUrl = getMappedUrl(vendorSlug, adapter.key) || adapter.reviewUrl?.(platformSlug) || url;
+        result[vendorSlug].sources.push(makeSource(vendorSlug, adapter.key, score, count, reviewUrl, subRatings));
+        rawUrls[`${vendorSlug}:${adapter.key}`] = adapter.urlFields.map((field) => item[field]).filter((u) => typeof u === 'string');
+        matched++;
+      }
+
+      if (WITH_SNIPPETS) {
+        for (const review of readReviews(adapter, item)) {
+          (snippetsByVendor[vendorSlug] ||= []).push({
+            source: adapter.key,
+            title: review.title,
+            ...extractSnippet(review),
+            date: review.date,
+            role: review.role,
+            rating: review.rating,
+          });
+        }
       }
     }
-    console.log(`  Matched ${capterraMatched} vendors from Capterra`);
-  } else if (capterraRaw === null) {
-    console.log('SKIP: capterra-raw.json not found (run Apify scraper first)');
+    log(`  Matched ${matched} vendors from ${adapter.label}`);
   }
 
-  // Calculate aggregates and track changes
-  const changes = [];
+  // Hold back suspicious changes before anything is calculated from them
   for (const [slug, data] of Object.entries(result)) {
+    const checked = checkAnomalies(slug, data.sources, previous[slug]?.sources, anomalyRules, mappings, rawUrls);
+    data.sources = checked.sources;
+    data.anomalies = checked.anomalies;
+  }
+
+  // Calculate raw aggregates first; the priors need every vendor's raw score
+  for (const data of Object.values(result)) {
     data.sources.sort((a, b) => a.source.localeCompare(b.source));
     data.totalCount = data.sources.reduce((sum, s) => sum + s.count, 0);
     data.aggregateScore = calculateAggregate(data.sources);
+    data.subRatings = calculateSubRatings(data.sources);
+  }
+
+  const softwareTypes = loadSoftwareTypes();
+  const priors = categoryPriors(result, softwareTypes, scoringConfig);
+  log(`\nPrior mean: ${priors.overall} ${priors.overallSource}` +
+    Object.entries(priors.byCategory).map(([c, m]) => `, ${m} ${c}`).join(''));
+
+  // Adjust scores and track changes
+  const changes = [];
+  for (const [slug, data] of Object.entries(result)) {
+    const { priorMean, priorSource } = priorFor(priors, softwareTypes[slug]);
+    Object.assign(data, adjustScore(data.aggregateScore, data.totalCount, priorMean, scoringConfig, priorSource));
 
     // Check for changes
     const prev = previous[slug];
@@ -186,49 +479,138 @@ function aggregate() {
     const currBySource = new Map((data.sources || []).map((s) => [s.source, s]));
     const allSources = new Set([...prevBySource.keys(), ...currBySource.keys()]);
 
-    let changed = false;
-    let changeDetails = [];
-    for (const source of allSources) {
+    const sourceChanges = [];
+    for (const source of [...allSources].sort()) {
       const p = prevBySource.get(source);
       const c = currBySource.get(source);
-      if (!p && c) {
-        changed = true;
-        changeDetails.push(`+${source}`);
-      } else if (p && !c) {
-        changed = true;
-        changeDetails.push(`-${source}`);
-      } else if (p && c && (p.score !== c.score || p.count !== c.count)) {
-        changed = true;
-        changeDetails.push(`${source}: ${p.score}(${p.count}) → ${c.score}(${c.count})`);
-      }
+      let type = null;
+      if (!p && c) type = 'added';
+      else if (p && !c) type = 'removed';
+      else if (p.score !== c.score || p.count !== c.count) type = 'changed';
+      else if (JSON.stringify(p.subRatings || {}) !== JSON.stringify(c.subRatings || {})) type = 'sub-ratings';
+      if (type) sourceChanges.push({ source, type, before: p || null, after: c || null });
     }
 
-    if (changed) {
+    if (sourceChanges.length > 0) {
       data.lastAggregated = today;
-      changes.push({ slug, details: changeDetails.join(', ') });
+      const details = sourceChanges.map((c) =>
+        c.type === 'added' ? `+${c.source}`
+          : c.type === 'removed' ? `-${c.source}`
+          : c.type === 'sub-ratings' ? `${c.source}: sub-ratings updated`
+          : `${c.source}: ${c.before.score}(${c.before.count}) → ${c.after.score}(${c.after.count})`
+      );
+      changes.push({ slug, details: details.join(', '), sources: sourceChanges });
     } else {
       data.lastAggregated = prev?.lastAggregated || data.lastAggregated;
     }
   }
 
-  // Write output
-  fs.writeFileSync(OUTPUT_PATH, JSON.stringify(result, null, 2));
+  const write = !DRY_RUN && errorCount === 0;
+
+  // Anything that would change a committed file counts as a change
+  const output = JSON.stringify(result, null, 2);
+  let changed = output !== JSON.stringify(previous, null, 2);
+
+  let snippetsOutput = null;
+  if (WITH_SNIPPETS) {
+    const snippets = {};
+    for (const [slug, list] of Object.entries(snippetsByVendor).sort(([a], [b]) => a.localeCompare(b))) {
+      const curated = curateSnippets(list);
+      if (curated.length > 0) snippets[slug] = curated;
+    }
+    snippetsOutput = JSON.stringify(snippets, null, 2) + '\n';
+    const existing = fs.existsSync(SNIPPETS_PATH) ? fs.readFileSync(SNIPPETS_PATH, 'utf8') : null;
+    if (snippetsOutput !== existing) changed = true;
+    const total = Object.values(snippets).reduce((sum, list) => sum + list.length, 0);
+    log(`\nReview snippets: ${total} for ${Object.keys(snippets).length} vendors`);
+  }
+
+  const previousSuggestions = loadJson(SUGGESTIONS_PATH)?.suggestions || [];
+  const suggestions = writeSuggestions(unmatched, mappings, today, {
+    dryRun: !(write && WRITE_SIDE_FILES),
+    matched: matchedPairs,
+  });
+  if (JSON.stringify(suggestions) !== JSON.stringify(previousSuggestions)) changed = true;
+
+  let historyCount = 0;
+  if (write) {
+    fs.writeFileSync(OUT_PATH, output + '\n');
+  }
+  if (write && WRITE_SIDE_FILES) {
+    if (snippetsOutput !== null) fs.writeFileSync(SNIPPETS_PATH, snippetsOutput);
+    for (const [slug, data] of Object.entries(result)) {
+      if (appendHistory(slug, data, today)) historyCount++;
+    }
+  }
 
   // Summary
-  console.log('\n--- SUMMARY ---');
+  log('\n--- SUMMARY ---');
   const withReviews = Object.values(result).filter(v => v.totalCount > 0).length;
-  console.log(`Vendors with reviews: ${withReviews}/${vendorCount}`);
+  log(`Vendors with reviews: ${withReviews}/${vendorCount}`);
 
   if (changes.length > 0) {
-    console.log(`\nChanges detected (${changes.length}):`);
+    log(`\nChanges detected (${changes.length}):`);
     for (const change of changes) {
-      console.log(`  - ${change.slug}: ${change.details}`);
+      log(`  - ${change.slug}: ${change.details}`);
+    }
+  } else {
+    log('\nNo changes detected.');
+  }
+
+  const flagged = Object.entries(result).filter(([, data]) => data.anomalies.length > 0);
+  if (flagged.length > 0) {
+    log(`\n⚠ Anomalies (${flagged.length} vendors, previous values kept):`);
+    for (const [slug, data] of flagged) {
+      for (const a of data.anomalies) {
+        log(`  - ${slug} ${a.source} [${a.rule}]: ${a.detail}`);
+      }
+    }
+  }
+
+  if (unmatched.length > 0) {
+    log(`\nUnmatched raw entries: ${unmatched.length} (${suggestions.length} with mapping suggestions)`);
+    for (const s of suggestions) {
+      log(`  - ${s.source}:${s.platformSlug} → ${s.vendor}? (${s.confidence})`);
     }
+    if (suggestions.length > 0) {
+      log('  Review with: node scripts/mapping-suggestions.mjs');
+    }
+  }
+
+  if (!write) {
+    log(`\n${DRY_RUN ? 'Dry run' : 'Errors'}: no files written`);
   } else {
-    console.log('\nNo changes detected.');
+    log(`\nOK: Aggregated reviews saved to ${OUT_PATH}`);
+    if (WRITE_SIDE_FILES) {
+      if (snippetsOutput !== null) log(`OK: Review snippets saved to ${SNIPPETS_PATH}`);
+      log(`OK: History updated for ${historyCount} vendors in ${HISTORY_DIR}`);
+    }
   }
 
-  console.log(`\nOK: Aggregated reviews saved to ${OUTPUT_PATH}`);
+  const exitCode = errorCount > 0 ? EXIT_ERROR : changed ? EXIT_CHANGES : EXIT_NO_CHANGE;
+
+  if (REPORT === 'md') {
+    console.log(markdownReport({ changes, result, suggestions, vendorsWithReviews: withReviews, vendorCount, dryRun: !write }));
+  } else if (REPORT === 'json') {
+    console.log(JSON.stringify({
+      dryRun: !write,
+      status: ['no-change', 'error', 'changes'][exitCode],
+      vendorsWithReviews: withReviews,
+      vendorCount,
+      changes: changes.map(({ slug, sources }) => ({ vendor: slug, sources })),
+      anomalies: Object.entries(result).flatMap(([slug, data]) => data.anomalies.map((a) => ({ vendor: slug, ...a }))),
+      unmatched: unmatched.map(({ source, platformSlug, url }) => ({ source, platformSlug, url })),
+      suggestions,
+    }, null, 2));
+  }
+
+  if (errorCount > 0) log(`\n✗ ${errorCount} error(s) while reading inputs`);
+  return exitCode;
 }
 
-aggregate();
+try {
+  process.exitCode = aggregate();
+} catch (error) {
+  console.error('ERROR:', error.message);
+  process.exitCode = EXIT_ERROR;
+}
@@ -0,0 +1,348 @@
+/**
+ * Vendor mapping suggestions
+ *
+ * The aggregator drops raw review items whose platform slug isn't in
+ * vendor-mappings.json. It passes those unmatched items here; they are
+ * fuzzy-matched against software names, website domains and existing
+ * mapping slugs (catching renames like "jane" -> "jane-app") and written to
+ * data/reviews/mapping-suggestions.json for review. A vendor whose mapping
+ * for that source matched an entry in the same run is never suggested: a
+ * rename leaves the old slug missing from the scrape.
+ *
+ * Usage:
+ *   node scripts/mapping-suggestions.mjs                          # List suggestions
+ *   node scripts/mapping-suggestions.mjs accept g2:jane-app       # Accept one (source:platformSlug)
+ *   node scripts/mapping-suggestions.mjs accept g2:jane-app --vendor=janeapp  # Accept with a different vendor
+ *   node scripts/mapping-suggestions.mjs accept --min-confidence=0.9          # Accept all at or above a confidence
+ *   node scripts/mapping-suggestions.mjs accept g2:jane-app --replace          # Replace an existing mapping
+ *
+ * Accepting writes the mapping into vendor-mappings.json and removes the
+ * suggestion. A vendor that already has a mapping for the source is left
+ * alone unless --replace is given. Re-run the aggregator afterwards to pick
+ * up the reviews.
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { REVIEW_SOURCES } from '../src/lib/review-sources.mjs';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const REVIEWS_DIR = path.join(__dirname, '../data/reviews');
+const MAPPINGS_PATH = path.join(REVIEWS_DIR, 'vendor-mappings.json');
+const SUGGESTIONS_PATH = path.join(REVIEWS_DIR, 'mapping-suggestions.json');
+const SOFTWARE_DIR = path.join(__dirname, '../src/content/software');
+
+// Candidates below this confidence are not suggested
+const MIN_CONFIDENCE = 0.5;
+
+// Item fields that may hold the product name / vendor website
+const NAME_FIELDS = ['name', 'productName', 'title'];
+const WEBSITE_FIELDS = ['website', 'vendorWebsite', 'sellerWebsite', 'companyWebsite'];
+
+/**
+ * Lowercase alphanumerics only
+ */
+function normalize(value) {
+  return String(value || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Extract domain from URL (or bare domain)
+ */
+function extractDomain(value) {
+  if (!value) return null;
+  try {
+    const parsed = new URL(/^https?:\/\//.test(value) ? value : `https://${value}`);
+    return parsed.hostname.replace(/^www\./, '').toLowerCase();
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Dice coefficient over character bigrams (0-1)
+ */
+function similarity(a, b) {
+  const x = normalize(a);
+  const y = normalize(b);
+  if (!x || !y) return 0;
+  if (x === y) return 1;
+  if (x.length < 2 || y.length < 2) return 0;
+
+  const bigrams = new Map();
+  for (let i = 0; i < x.length - 1; i++) {
+    const gram = x.slice(i, i + 2);
+    bigrams.set(gram, (bigrams.get(gram) || 0) + 1);
+  }
+  let overlap = 0;
+  for (let i = 0; i < y.length - 1; i++) {
+    const gram = y.slice(i, i + 2);
+    if (bigrams.get(gram) > 0) {
+      bigrams.set(gram, bigrams.get(gram) - 1);
+      overlap++;
+    }
+  }
+  return (2 * overlap) / (x.length + y.length - 2);
+}
+
+/**
+ * Containment counts as a strong match ("jane" in "janeapp"), if long enough
+ */
+function contains(a, b) {
+  const x = normalize(a);
+  const y = normalize(b);
+  return x.length >= 4 && y.length >= 4 && (x.includes(y) || y.includes(x));
+}
+
+function firstField(item, fields) {
+  for (const field of fields) {
+    if (item?.[field]) return item[field];
+  }
+  return null;
+}
+
+function loadJson(filePath) {
+  if (!fs.existsSync(filePath)) return null;
+  return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+function loadSoftware() {
+  return fs.readdirSync(SOFTWARE_DIR)
+    .filter((f) => f.endsWith('.json'))
+    .map((f) => JSON.parse(fs.readFileSync(path.join(SOFTWARE_DIR, f), 'utf8')));
+}
+
+/**
+ * Score one unmatched entry against one software entry
+ * @returns {{ confidence: number, reasons: string[] }}
+ */
+function scoreCandidate(entry, software, mappings) {
+  const signals = [];
+  const softwareDomain = extractDomain(software.website);
+
+  // Trustpilot slugs are domains themselves
+  const entryDomain = extractDomain(entry.website) || (entry.platformSlug.includes('.') ? extractDomain(entry.platformSlug) : null);
+  if (entryDomain && softwareDomain && entryDomain === softwareDomain) {
+    signals.push([0.95, `domain ${entryDomain}`]);
+  }
+
+  if (entry.name) {
+    const nameScore = similarity(entry.name, software.name);
+    if (nameScore > 0) signals.push([nameScore, `name "${entry.name}" ~ "${software.name}" (${nameScore.toFixed(2)})`]);
+    if (contains(entry.name, software.name)) signals.push([0.8, `name contains "${software.name}"`]);
+  }
+
+  const slugScore = similarity(entry.platformSlug, software.slug);
+  if (slugScore > 0) signals.push([slugScore, `slug "${entry.platformSlug}" ~ "${software.slug}" (${slugScore.toFixed(2)})`]);
+  if (contains(entry.platformSlug, software.slug)) signals.push([0.8, `slug contains "${software.slug}"`]);
+
+  // A renamed product usually keeps most of its old platform slug
+  const mappedSlug = mappings.vendors?.[software.slug]?.[entry.source]?.slug;
+  if (mappedSlug) {
+    const renameScore = similarity(entry.platformSlug, mappedSlug) * 0.9;
+    if (renameScore > 0) signals.push([renameScore, `close to current ${entry.source} slug "${mappedSlug}" (${renameScore.toFixed(2)})`]);
+  }
+
+  signals.sort((a, b) => b[0] - a[0]);
+  const confidence = signals.length ? Math.round(signals[0][0] * 100) / 100 : 0;
+  return { confidence, reasons: signals.filter(([score]) => score >= MIN_CONFIDENCE).map(([, reason]) => reason) };
+}
+
+/**
+ * Build suggestions for unmatched raw entries
+ *
+ * @param {{ source: string, platformSlug: string, url: string, item: object }[]} unmatched
+ * @param {object[]} software - Software content entries
+ * @param {object} mappings - vendor-mappings.json contents
+ * @param {Set<string>} [matched] - "<vendor>:<source>" pairs whose mapping matched this run
+ */
+function suggestMappings(unmatched, software, mappings, matched = new Set()) {
+  const seen = new Set();
+  const suggestions = [];
+
+  for (const { source, platformSlug, url, item } of unmatched) {
+    const key = `${source}:${platformSlug.toLowerCase()}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+
+    const entry = {
+      source,
+      platformSlug,
+      name: firstField(item, NAME_FIELDS),
+      website: firstField(item, WEBSITE_FIELDS),
+      url,
+    };
+
+    const candidates = software
+      .filter((s) => !matched.has(`${s.slug}:${source}`))
+      .map((s) => ({ vendor: s.slug, ...scoreCandidate(entry, s, mappings) }))
+      .filter((c) => c.confidence >= MIN_CONFIDENCE)
+      .sort((a, b) => b.confidence - a.confidence || a.vendor.localeCompare(b.vendor));
+    if (candidates.length === 0) continue;
+
+    const [best, ...others] = candidates;
+    suggestions.push({
+      ...entry,
+      vendor: best.vendor,
+      confidence: best.confidence,
+      reasons: best.reasons,
+      alternatives: others.slice(0, 2).map(({ vendor, confidence }) => ({ vendor, confidence })),
+    });
+  }
+
+  return suggestions.sort((a, b) => b.confidence - a.confidence || a.platformSlug.localeCompare(b.platformSlug));
+}
+
+/**
+ * Build and write suggestions (called by the aggregator each run)
+ *
+ * The file (and its `generated` date) is only rewritten when the suggestions
+ * differ, so an unchanged run leaves the tree clean.
+ *
+ * @param {{ dryRun?: boolean, matched?: Set<string> }} [options] - dryRun builds
+ *   them without writing; matched lists the vendor:source pairs that matched
+ */
+function writeSuggestions(unmatched, mappings, date, { dryRun = false, matched } = {}) {
+  const suggestions = suggestMappings(unmatched, loadSoftware(), mappings, matched);
+  const previous = loadJson(SUGGESTIONS_PATH);
+  const unchanged = previous && JSON.stringify(previous.suggestions) === JSON.stringify(suggestions);
+  if (!dryRun && !unchanged) {
+    fs.writeFileSync(SUGGESTIONS_PATH, JSON.stringify({ generated: date, suggestions }, null, 2) + '\n');
+  }
+  return suggestions;
+}
+
+/**
+ * Move suggestions into vendor-mappings.json
+ *
+ * Existing mappings are only overwritten with `replace`; otherwise those
+ * suggestions are skipped and kept in the suggestions file.
+ */
+function acceptSuggestions(file, selected, vendorOverride, replace = false) {
+  const mappings = loadJson(MAPPINGS_PATH);
+  const softwareSlugs = new Set(loadSoftware().map((s) => s.slug));
+  const accepted = [];
+
+  for (const suggestion of selected) {
+    const vendor = vendorOverride || suggestion.vendor;
+    if (!softwareSlugs.has(vendor)) {
+      console.error(`✗ ${vendor} is not a software slug`);
+      process.exit(1);
+    }
+
+    const existing = mappings.vendors[vendor]?.[suggestion.source]?.slug;
+    if (existing && !replace) {
+      console.log(`⚠ ${suggestion.source}:${suggestion.platformSlug} → ${vendor} skipped: already mapped to "${existing}" (use --replace)`);
+      continue;
+    }
+
+    const adapter = REVIEW_SOURCES[suggestion.source];
+    mappings.vendors[vendor] = {
+      ...mappings.vendors[vendor],
+      [suggestion.source]: {
+        slug: suggestion.platformSlug,
+        url: adapter?.reviewUrl?.(suggestion.platformSlug) || suggestion.url,
+      },
+    };
+
+    console.log(`✓ ${suggestion.source}:${suggestion.platformSlug} → ${vendor}${existing ? ` (was "${existing}")` : ''}`);
+    accepted.push(suggestion);
+  }
+
+  if (accepted.length === 0) {
+    console.log('\nNothing accepted.');
+    return;
+  }
+
+  mappings.lastUpdated = new Date().toISOString().split('T')[0];
+  fs.writeFileSync(MAPPINGS_PATH, JSON.stringify(mappings, null, 2) + '\n');
+
+  file.suggestions = file.suggestions.filter((s) => !accepted.includes(s));
+  fs.writeFileSync(SUGGESTIONS_PATH, JSON.stringify(file, null, 2) + '\n');
+
+  console.log(`\n${accepted.length} mapping(s) accepted. Run npm run validate:mappings, then re-run the aggregator.`);
+}
+
+function listSuggestions(file) {
+  if (file.suggestions.length === 0) {
+    console.log('No mapping suggestions.');
+    return;
+  }
+
+  console.log(`${file.suggestions.length} mapping suggestion(s) from ${file.generated}:\n`);
+  for (const s of file.suggestions) {
+    console.log(`  ${s.source}:${s.platformSlug} → ${s.vendor} (${s.confidence})`);
+    for (const reason of s.reasons) console.log(`      ${reason}`);
+    if (s.alternatives.length > 0) {
+      console.log(`      also: ${s.alternatives.map((a) => `${a.vendor} (${a.confidence})`).join(', ')}`);
+    }
+  }
+  console.log('\nAccept with: node scripts/mapping-suggestions.mjs accept <source>:<platformSlug> [--vendor=<slug>] [--replace]');
+}
+
+/**
+ * CLI entry point
+ */
+function main() {
+  const args = process.argv.slice(2);
+  const command = args[0] || 'list';
+
+  const file = loadJson(SUGGESTIONS_PATH);
+  if (!file) {
+    console.log('No mapping-suggestions.json yet. Run the aggregator first.');
+    return;
+  }
+
+  if (command === 'list') {
+    listSuggestions(file);
+    return;
+  }
+
+  if (command !== 'accept') {
+    console.error(`Unknown command "${command}". Use list or accept.`);
+    process.exit(1);
+  }
+
+  const minArg = args.find((a) => a.startsWith('--min-confidence='));
+  const vendorArg = args.find((a) => a.startsWith('--vendor='))?.split('=')[1];
+  const keys = args.slice(1).filter((a) => !a.startsWith('--'));
+
+  let selected;
+  if (minArg) {
+    const min = parseFloat(minArg.split('=')[1]);
+    selected = file.suggestions.filter((s) => s.confidence >= min);
+  } else if (keys.length > 0) {
+    selected = keys.map((key) => {
+      const match = file.suggestions.find((s) => `${s.source}:${s.platformSlug}`.toLowerCase() === key.toLowerCase());
+      if (!match) {
+        console.error(`✗ No suggestion for ${key}`);
+        process.exit(1);
+      }
+      return match;
+    });
+  } else {
+    console.error('Usage: accept <source>:<platformSlug> [--vendor=<slug>] [--replace] | accept --min-confidence=<0-1> [--replace]');
+    process.exit(1);
+  }
+
+  if (selected.length === 0) {
+    console.log('Nothing to accept.');
+    return;
+  }
+  if (vendorArg && selected.length > 1) {
+    console.error('✗ --vendor can only be used when accepting a single suggestion');
+    process.exit(1);
+  }
+
+  acceptSuggestions(file, selected, vendorArg, args.includes('--replace'));
+}
+
+// Run if called directly
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  main();
+}
+
+export { suggestMappings, writeSuggestions };
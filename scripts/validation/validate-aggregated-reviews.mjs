@@ -7,16 +7,29 @@
  * - Score and count values are valid
  * - Source data is properly formatted
  * - Total counts reconcile with source counts
+ * - Adjusted score, confidence and prior are present together with the raw score
+ * - scoring-config.json has a usable prior
+ * - Sub-ratings use known dimensions with 0-5 scores, and vendor sub-ratings
+ *   only cover dimensions some source reports
+ * - Anomaly flags name a known source and rule
+ * - Review snippets use known sources and themes and stay short
+ * - History files (data/reviews/history/<slug>.json) are well-formed and in date order
  */
 
 import fs from 'node:fs';
 import path from 'node:path';
 import { fileURLToPath } from 'node:url';
+import { REVIEW_SOURCE_KEYS, SUB_RATING_DIMENSIONS } from '../../src/lib/review-sources.mjs';
+import { REVIEW_THEME_KEYS, SNIPPET_MAX_LENGTH } from '../../src/lib/review-themes.mjs';
+import { PRIOR_SOURCES } from '../../src/lib/review-scoring.mjs';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 const REVIEWS_PATH = path.join(__dirname, '../../data/reviews/aggregated-reviews.json');
+const SCORING_CONFIG_PATH = path.join(__dirname, '../../data/reviews/scoring-config.json');
+const SNIPPETS_PATH = path.join(__dirname, '../../data/reviews/review-snippets.json');
+const HISTORY_DIR = path.join(__dirname, '../../data/reviews/history');
 const SOFTWARE_DIR = path.join(__dirname, '../../src/content/software');
 
 function fail(errors) {
@@ -52,6 +65,164 @@ function getSoftwareSlugs() {
   return slugs;
 }
 
+const CONFIDENCE_LEVELS = ['high', 'medium', 'low'];
+const ANOMALY_RULES = ['countDecreased', 'scoreJump', 'sourceVanished', 'slugMismatch'];
+
+function validateSubRatings(label, subRatings, errors) {
+  if (!subRatings || typeof subRatings !== 'object' || Array.isArray(subRatings)) {
+    errors.push(`${label} must be an object`);
+    return;
+  }
+  for (const [dimension, score] of Object.entries(subRatings)) {
+    if (!(dimension in SUB_RATING_DIMENSIONS)) {
+      errors.push(`${label}: unknown dimension "${dimension}" (expected ${Object.keys(SUB_RATING_DIMENSIONS).join(', ')})`);
+    }
+    if (typeof score !== 'number' || score < 0 || score > 5) {
+      errors.push(`${label}.${dimension} must be a number between 0 and 5`);
+    }
+  }
+}
+
+function validateScoringConfig(errors) {
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(SCORING_CONFIG_PATH, 'utf8'));
+  } catch (e) {
+    errors.push(`Failed to read scoring-config.json: ${e.message}`);
+    return;
+  }
+
+  if (typeof config.priorWeight !== 'number' || config.priorWeight <= 0) {
+    errors.push('scoring-config.json: priorWeight must be a positive number');
+  }
+  for (const field of ['priorMean', 'fallbackMean']) {
+    const value = config[field];
+    if (field === 'priorMean' && value === null) continue;
+    if (typeof value !== 'number' || value < 0 || value > 5) {
+      errors.push(`scoring-config.json: ${field} must be a number between 0 and 5${field === 'priorMean' ? ' or null' : ''}`);
+    }
+  }
+  if (!Number.isInteger(config.minCategoryVendors) || config.minCategoryVendors < 1) {
+    errors.push('scoring-config.json: minCategoryVendors must be a positive integer');
+  }
+  const thresholds = config.confidenceThresholds || {};
+  if (!(thresholds.medium > 0 && thresholds.medium < thresholds.high && thresholds.high < 1)) {
+    errors.push('scoring-config.json: confidenceThresholds must satisfy 0 < medium < high < 1');
+  }
+}
+
+function validateSnippets(softwareSlugs, errors, warnings) {
+  if (!fs.existsSync(SNIPPETS_PATH)) return 0;
+
+  let snippets;
+  try {
+    snippets = JSON.parse(fs.readFileSync(SNIPPETS_PATH, 'utf8'));
+  } catch (e) {
+    errors.push(`Failed to parse review-snippets.json: ${e.message}`);
+    return 0;
+  }
+  if (!snippets || typeof snippets !== 'object' || Array.isArray(snippets)) {
+    errors.push('review-snippets.json must be an object keyed by vendor slug');
+    return 0;
+  }
+
+  let total = 0;
+  for (const [slug, list] of Object.entries(snippets)) {
+    const label = `review-snippets "${slug}"`;
+    if (!softwareSlugs.has(slug)) {
+      warnings.push(`${label}: no matching software file found`);
+    }
+    if (!Array.isArray(list)) {
+      errors.push(`${label} must be an array`);
+      continue;
+    }
+
+    for (const [i, snippet] of list.entries()) {
+      total++;
+      if (!REVIEW_SOURCE_KEYS.includes(snippet?.source)) {
+        errors.push(`${label}[${i}].source must be one of: ${REVIEW_SOURCE_KEYS.join(', ')}`);
+      }
+      if (!snippet?.quote || typeof snippet.quote !== 'string') {
+        errors.push(`${label}[${i}].quote must be a non-empty string`);
+      } else if (snippet.quote.length > SNIPPET_MAX_LENGTH) {
+        errors.push(`${label}[${i}].quote is longer than ${SNIPPET_MAX_LENGTH} characters`);
+      }
+      if (!Array.isArray(snippet?.themes) || snippet.themes.some(t => !REVIEW_THEME_KEYS.includes(t))) {
+        errors.push(`${label}[${i}].themes must only contain: ${REVIEW_THEME_KEYS.join(', ')}`);
+      }
+      if (snippet?.date !== null && !isIsoDate(snippet?.date)) {
+        errors.push(`${label}[${i}].date must be YYYY-MM-DD format or null`);
+      }
+      if (snippet?.rating !== null && (typeof snippet?.rating !== 'number' || snippet.rating < 0 || snippet.rating > 5)) {
+        errors.push(`${label}[${i}].rating must be a number between 0 and 5 or null`);
+      }
+    }
+  }
+
+  return total;
+}
+
+function validateHistory(softwareSlugs, errors, warnings) {
+  if (!fs.existsSync(HISTORY_DIR)) return 0;
+
+  const files = fs.readdirSync(HISTORY_DIR).filter(f => f.endsWith('.json'));
+  for (const file of files) {
+    const slug = file.replace(/\.json$/, '');
+    const label = `history/${file}`;
+
+    let history;
+    try {
+      history = JSON.parse(fs.readFileSync(path.join(HISTORY_DIR, file), 'utf8'));
+    } catch (e) {
+      errors.push(`${label}: failed to parse: ${e.message}`);
+      continue;
+    }
+
+    if (!softwareSlugs.has(slug)) {
+      warnings.push(`${label}: no matching software file found`);
+    }
+    if (history?.vendor !== slug) {
+      errors.push(`${label}: vendor must be "${slug}"`);
+    }
+    if (!Array.isArray(history?.points)) {
+      errors.push(`${label}: points must be an array`);
+      continue;
+    }
+
+    let previousDate = '';
+    for (const [i, point] of history.points.entries()) {
+      if (!isIsoDate(point?.date)) {
+        errors.push(`${label}: points[${i}].date must be YYYY-MM-DD format`);
+        continue;
+      }
+      if (point.date <= previousDate) {
+        errors.push(`${label}: points[${i}].date must be after ${previousDate}`);
+      }
+      previousDate = point.date;
+
+      if (point.aggregateScore !== null && (typeof point.aggregateScore !== 'number' || point.aggregateScore < 0 || point.aggregateScore > 5)) {
+        errors.push(`${label}: points[${i}].aggregateScore must be a number between 0 and 5 or null`);
+      }
+      if (typeof point.totalCount !== 'number' || point.totalCount < 0) {
+        errors.push(`${label}: points[${i}].totalCount must be a non-negative number`);
+      }
+      for (const [source, values] of Object.entries(point.sources || {})) {
+        if (!REVIEW_SOURCE_KEYS.includes(source)) {
+          errors.push(`${label}: points[${i}].sources has unknown source "${source}"`);
+        }
+        if (typeof values?.score !== 'number' || values.score < 0 || values.score > 5) {
+          errors.push(`${label}: points[${i}].sources.${source}.score must be a number between 0 and 5`);
+        }
+        if (typeof values?.count !== 'number' || values.count < 0) {
+          errors.push(`${label}: points[${i}].sources.${source}.count must be a non-negative number`);
+        }
+      }
+    }
+  }
+
+  return files.length;
+}
+
 function validate() {
   // Check if file exists (optional for now)
   if (!fs.existsSync(REVIEWS_PATH)) {
@@ -76,7 +247,7 @@ function validate() {
   }
 
   const softwareSlugs = getSoftwareSlugs();
-  const validSources = ['g2', 'capterra'];
+  const validSources = REVIEW_SOURCE_KEYS;
 
   console.log(`Validating reviews for ${Object.keys(reviews).length} vendors...\n`);
 
@@ -100,6 +271,26 @@ function validate() {
       }
     }
 
+    // Validate adjusted score (set exactly when a raw score exists)
+    if (data.aggregateScore === null) {
+      if (data.adjustedScore !== null || data.confidence !== null || data.priorMean !== null || data.priorSource != null) {
+        errors.push(`"${slug}": adjustedScore, confidence, priorMean and priorSource must be null without an aggregateScore`);
+      }
+    } else {
+      if (typeof data.adjustedScore !== 'number' || data.adjustedScore < 0 || data.adjustedScore > 5) {
+        errors.push(`"${slug}".adjustedScore must be a number between 0 and 5`);
+      }
+      if (!CONFIDENCE_LEVELS.includes(data.confidence)) {
+        errors.push(`"${slug}".confidence must be one of: ${CONFIDENCE_LEVELS.join(', ')}`);
+      }
+      if (typeof data.priorMean !== 'number' || data.priorMean < 0 || data.priorMean > 5) {
+        errors.push(`"${slug}".priorMean must be a number between 0 and 5`);
+      }
+      if (!Object.keys(PRIOR_SOURCES).includes(data.priorSource)) {
+        errors.push(`"${slug}".priorSource must be one of: ${Object.keys(PRIOR_SOURCES).join(', ')}`);
+      }
+    }
+
     // Validate totalCount
     if (typeof data.totalCount !== 'number' || data.totalCount < 0) {
       errors.push(`"${slug}".totalCount must be a non-negative number`);
@@ -133,6 +324,18 @@ function validate() {
         if (!isIsoDate(source.lastUpdated)) {
           errors.push(`"${slug}".sources[${i}].lastUpdated must be YYYY-MM-DD format`);
         }
+
+        if (source.subRatings !== undefined) {
+          validateSubRatings(`"${slug}".sources[${i}].subRatings`, source.subRatings, errors);
+        }
+      }
+
+      // Every vendor sub-rating must come from at least one source
+      validateSubRatings(`"${slug}".subRatings`, data.subRatings, errors);
+      for (const dimension of Object.keys(data.subRatings || {})) {
+        if (!data.sources.some(s => typeof s.subRatings?.[dimension] === 'number')) {
+          errors.push(`"${slug}".subRatings.${dimension} is not reported by any source`);
+        }
       }
 
       // Reconcile totalCount with source counts
@@ -141,6 +344,23 @@ function validate() {
       }
     }
 
+    // Validate anomaly flags
+    if (!Array.isArray(data.anomalies)) {
+      errors.push(`"${slug}".anomalies must be an array`);
+    } else {
+      for (const [i, anomaly] of data.anomalies.entries()) {
+        if (!validSources.includes(anomaly?.source)) {
+          errors.push(`"${slug}".anomalies[${i}].source must be one of: ${validSources.join(', ')}`);
+        }
+        if (!ANOMALY_RULES.includes(anomaly?.rule)) {
+          errors.push(`"${slug}".anomalies[${i}].rule must be one of: ${ANOMALY_RULES.join(', ')}`);
+        }
+      }
+      if (data.anomalies.length > 0) {
+        warnings.push(`"${slug}": ${data.anomalies.length} anomaly flag(s), previous values kept`);
+      }
+    }
+
     // Validate lastAggregated
     if (!isIsoDate(data.lastAggregated)) {
       errors.push(`"${slug}".lastAggregated must be YYYY-MM-DD format`);
@@ -154,6 +374,10 @@ function validate() {
     }
   }
 
+  validateScoringConfig(errors);
+  const snippetCount = validateSnippets(softwareSlugs, errors, warnings);
+  const historyFiles = validateHistory(softwareSlugs, errors, warnings);
+
   if (errors.length) {
     fail(errors);
   }
@@ -165,6 +389,8 @@ function validate() {
 
   console.log(`OK: aggregated-reviews.json validation passed`);
   console.log(`    ${Object.keys(reviews).length} vendors with review data`);
+  console.log(`    ${snippetCount} review snippets`);
+  console.log(`    ${historyFiles} vendors with score history`);
 }
 
 validate();
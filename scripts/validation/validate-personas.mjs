@@ -0,0 +1,167 @@
+/**
+ * Validate clinic personas for /for/[persona] pages
+ *
+ * This script validates:
+ * - JSON structure and required fields
+ * - Slugs are unique and URL-safe
+ * - Filter and ranking rules only reference known features, types and pricing models
+ * - Warns if a persona matches no software (its page would be empty)
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { matchesPersona } from '../../src/lib/personas.mjs';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const PERSONAS_PATH = path.join(__dirname, '../../data/personas/personas.json');
+const SOFTWARE_DIR = path.join(__dirname, '../../src/content/software');
+
+const KETAMINE_FEATURES = [
+  'iv_protocols',
+  'im_protocols',
+  'outcome_tracking',
+  'spravato_workflows',
+  'patient_rating_scales',
+  'ketamine_consent_forms',
+  'treatment_series_tracking',
+];
+const SOFTWARE_TYPES = ['ketamine_specific', 'ketamine_compatible', 'general_ehr'];
+const PRICING_MODELS = ['per_clinician', 'flat', 'custom'];
+
+// Rule name -> allowed values (null = free-form strings)
+const LIST_RULES = {
+  software_type: SOFTWARE_TYPES,
+  ketamine_features_all: KETAMINE_FEATURES,
+  ketamine_features_any: KETAMINE_FEATURES,
+  pricing_model: PRICING_MODELS,
+  general_feature_categories: null,
+};
+const RANKING_RULES = {
+  ketamine_features: KETAMINE_FEATURES,
+  software_type: SOFTWARE_TYPES,
+  pricing_model: PRICING_MODELS,
+};
+
+function fail(errors) {
+  console.error('\n--- VALIDATION FAILED ---\n');
+  for (const error of errors) {
+    console.error(`ERROR: ${error}`);
+  }
+  process.exit(1);
+}
+
+function warn(warnings) {
+  for (const warning of warnings) {
+    console.warn(`WARN: ${warning}`);
+  }
+}
+
+function loadSoftware() {
+  return fs.readdirSync(SOFTWARE_DIR)
+    .filter(f => f.endsWith('.json'))
+    .map(f => JSON.parse(fs.readFileSync(path.join(SOFTWARE_DIR, f), 'utf8')));
+}
+
+function checkList(label, value, allowed, errors) {
+  if (!Array.isArray(value) || value.length === 0 || !value.every(v => typeof v === 'string')) {
+    errors.push(`${label} must be a non-empty array of strings`);
+    return;
+  }
+  if (allowed) {
+    for (const v of value) {
+      if (!allowed.includes(v)) errors.push(`${label}: unknown value "${v}"`);
+    }
+  }
+}
+
+function validate() {
+  if (!fs.existsSync(PERSONAS_PATH)) {
+    console.log('SKIP: personas.json does not exist yet');
+    return;
+  }
+
+  const errors = [];
+  const warnings = [];
+
+  let personas;
+  try {
+    personas = JSON.parse(fs.readFileSync(PERSONAS_PATH, 'utf8'));
+  } catch (e) {
+    fail([`Failed to parse personas.json: ${e.message}`]);
+  }
+
+  if (!Array.isArray(personas)) {
+    fail(['personas.json must be an array']);
+  }
+
+  const software = loadSoftware();
+  const seen = new Set();
+
+  console.log(`Validating ${personas.length} personas...\n`);
+
+  for (const [index, persona] of personas.entries()) {
+    const label = persona?.slug ? `"${persona.slug}"` : `personas[${index}]`;
+
+    for (const field of ['slug', 'name', 'headline', 'description']) {
+      if (!persona?.[field] || typeof persona[field] !== 'string') {
+        errors.push(`${label}.${field} must be a non-empty string`);
+      }
+    }
+
+    if (typeof persona?.slug === 'string') {
+      if (!/^[a-z0-9]+(?:-[a-z0-9]+)*$/.test(persona.slug)) {
+        errors.push(`${label}: slug must be lowercase words separated by hyphens`);
+      }
+      if (seen.has(persona.slug)) errors.push(`${label}: duplicate slug`);
+      seen.add(persona.slug);
+    }
+
+    checkList(`${label}.needs`, persona?.needs, null, errors);
+
+    const filters = persona?.filters;
+    if (!filters || typeof filters !== 'object') {
+      errors.push(`${label}.filters must be an object`);
+      continue;
+    }
+
+    for (const [rule, value] of Object.entries(filters)) {
+      if (rule === 'max_starting_price') {
+        if (typeof value !== 'number' || value < 0) errors.push(`${label}.filters.max_starting_price must be a non-negative number`);
+      } else if (rule in LIST_RULES) {
+        checkList(`${label}.filters.${rule}`, value, LIST_RULES[rule], errors);
+      } else {
+        errors.push(`${label}.filters: unknown rule "${rule}"`);
+      }
+    }
+
+    for (const [rule, value] of Object.entries(persona.ranking || {})) {
+      if (rule in RANKING_RULES) {
+        checkList(`${label}.ranking.${rule}`, value, RANKING_RULES[rule], errors);
+      } else {
+        errors.push(`${label}.ranking: unknown rule "${rule}"`);
+      }
+    }
+
+    const matches = software.filter(s => matchesPersona(s, persona)).length;
+    if (matches === 0) {
+      warnings.push(`${label}: matches no software (page will be empty)`);
+    }
+  }
+
+  if (errors.length) {
+    fail(errors);
+  }
+
+  if (warnings.length) {
+    warn(warnings);
+    console.log('');
+  }
+
+  console.log(`OK: personas.json validation passed`);
+  console.log(`    ${personas.length} personas`);
+}
+
+validate();
@@ -7,6 +7,7 @@
  * - ISO date format for last_verified
  * - Required fields present
  * - Pricing model enum values
+ * - software_type enum values (optional, as in the content schema)
  *
  * Note: Full Zod schema validation happens at Astro build time.
  * This script provides additional cross-file validation.
@@ -128,6 +129,14 @@ function validate() {
       errors.push(`${file}: last_verified must be YYYY-MM-DD format, got "${data.last_verified}"`);
     }
 
+    // Software type (must match the enum in src/content/config.ts)
+    if (data.software_type !== undefined) {
+      const validTypes = ['ketamine_specific', 'ketamine_compatible', 'general_ehr'];
+      if (!validTypes.includes(data.software_type)) {
+        errors.push(`${file}: software_type must be one of ${validTypes.join('|')}, got "${data.software_type}"`);
+      }
+    }
+
     // Pricing validation
     if (data.pricing) {
       const validModels = ['per_clinician', 'flat', 'custom'];
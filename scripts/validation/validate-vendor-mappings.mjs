@@ -4,7 +4,9 @@
  * This script validates:
  * - JSON structure is correct
  * - All mapping entries have corresponding software files
- * - G2/Capterra URLs are valid format
+ * - Source keys are known review source adapters (src/lib/review-sources.mjs)
+ * - Source URLs are valid and point at the source's host
+ * - manual-reviews.json entries reference mapped vendors with valid scores
  * - Warns if software exists but has no mapping
  *
  * Improvement over CannaStack: dedicated validation for mappings
@@ -13,11 +15,13 @@
 import fs from 'node:fs';
 import path from 'node:path';
 import { fileURLToPath } from 'node:url';
+import { REVIEW_SOURCES, REVIEW_SOURCE_KEYS } from '../../src/lib/review-sources.mjs';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 const MAPPINGS_PATH = path.join(__dirname, '../../data/reviews/vendor-mappings.json');
+const MANUAL_REVIEWS_PATH = path.join(__dirname, '../../data/reviews', REVIEW_SOURCES.manual.rawFile);
 const SOFTWARE_DIR = path.join(__dirname, '../../src/content/software');
 
 function fail(errors) {
@@ -59,6 +63,39 @@ function getSoftwareSlugs() {
   return slugs;
 }
 
+function validateManualReviews(mappedSlugs, errors) {
+  if (!fs.existsSync(MANUAL_REVIEWS_PATH)) return;
+
+  let entries;
+  try {
+    entries = JSON.parse(fs.readFileSync(MANUAL_REVIEWS_PATH, 'utf8'));
+  } catch (e) {
+    errors.push(`Failed to parse ${REVIEW_SOURCES.manual.rawFile}: ${e.message}`);
+    return;
+  }
+
+  if (!Array.isArray(entries)) {
+    errors.push(`${REVIEW_SOURCES.manual.rawFile} must be an array`);
+    return;
+  }
+
+  for (const [i, entry] of entries.entries()) {
+    const label = `${REVIEW_SOURCES.manual.rawFile}[${i}]`;
+    if (!mappedSlugs.has(entry?.vendor)) {
+      errors.push(`${label}.vendor "${entry?.vendor}" is not in vendor-mappings.json`);
+    }
+    if (typeof entry?.score !== 'number' || entry.score < 0 || entry.score > 5) {
+      errors.push(`${label}.score must be a number between 0 and 5`);
+    }
+    if (!Number.isInteger(entry?.count) || entry.count < 1) {
+      errors.push(`${label}.count must be a positive integer`);
+    }
+    if (!entry?.url || !isValidUrl(entry.url)) {
+      errors.push(`${label}.url must be a valid URL (where the reviews can be checked)`);
+    }
+  }
+}
+
 function validate() {
   // Check if file exists (optional for now)
   if (!fs.existsSync(MAPPINGS_PATH)) {
@@ -103,46 +140,37 @@ function validate() {
       continue;
     }
 
-    // Validate G2 mapping
-    if (mapping.g2 !== null) {
-      if (typeof mapping.g2 !== 'object') {
-        errors.push(`"${slug}".g2 must be an object or null`);
-      } else {
-        if (!mapping.g2.slug || typeof mapping.g2.slug !== 'string') {
-          errors.push(`"${slug}".g2.slug must be a non-empty string`);
-        }
-        if (!mapping.g2.url || !isValidUrl(mapping.g2.url)) {
-          errors.push(`"${slug}".g2.url must be a valid URL`);
-        }
-        if (mapping.g2.url && !mapping.g2.url.includes('g2.com')) {
-          warnings.push(`"${slug}".g2.url doesn't look like a G2 URL`);
-        }
+    for (const [source, sourceMapping] of Object.entries(mapping)) {
+      const adapter = REVIEW_SOURCES[source];
+      if (!adapter) {
+        errors.push(`"${slug}".${source}: unknown review source (expected one of: ${REVIEW_SOURCE_KEYS.join(', ')})`);
+        continue;
       }
-    }
+      if (sourceMapping === null) continue;
 
-    // Validate Capterra mapping
-    if (mapping.capterra !== null) {
-      if (typeof mapping.capterra !== 'object') {
-        errors.push(`"${slug}".capterra must be an object or null`);
-      } else {
-        if (!mapping.capterra.slug || typeof mapping.capterra.slug !== 'string') {
-          errors.push(`"${slug}".capterra.slug must be a non-empty string`);
-        }
-        if (!mapping.capterra.url || !isValidUrl(mapping.capterra.url)) {
-          errors.push(`"${slug}".capterra.url must be a valid URL`);
-        }
-        if (mapping.capterra.url && !mapping.capterra.url.includes('capterra.com')) {
-          warnings.push(`"${slug}".capterra.url doesn't look like a Capterra URL`);
-        }
+      if (typeof sourceMapping !== 'object') {
+        errors.push(`"${slug}".${source} must be an object or null`);
+        continue;
+      }
+      if (!sourceMapping.slug || typeof sourceMapping.slug !== 'string') {
+        errors.push(`"${slug}".${source}.slug must be a non-empty string`);
+      }
+      if (!sourceMapping.url || !isValidUrl(sourceMapping.url)) {
+        errors.push(`"${slug}".${source}.url must be a valid URL`);
+      }
+      if (sourceMapping.url && adapter.host && !sourceMapping.url.includes(adapter.host)) {
+        warnings.push(`"${slug}".${source}.url doesn't look like a ${adapter.label} URL`);
       }
     }
 
     // Warn if no mappings at all
-    if (mapping.g2 === null && mapping.capterra === null) {
-      warnings.push(`"${slug}": has no G2 or Capterra mapping`);
+    if (!Object.values(mapping).some(m => m !== null)) {
+      warnings.push(`"${slug}": has no review source mapping`);
     }
   }
 
+  validateManualReviews(mappedSlugs, errors);
+
   // Check for software without mappings
   for (const slug of softwareSlugs) {
     if (!mappedSlugs.has(slug)) {
@@ -159,12 +187,14 @@ function validate() {
     console.log('');
   }
 
-  const withG2 = Object.values(mappings.vendors).filter(m => m.g2 !== null).length;
-  const withCapterra = Object.values(mappings.vendors).filter(m => m.capterra !== null).length;
+  const perSource = REVIEW_SOURCE_KEYS
+    .map(source => [source, Object.values(mappings.vendors).filter(m => m?.[source]).length])
+    .filter(([, count]) => count > 0)
+    .map(([source, count]) => `${count} with ${REVIEW_SOURCES[source].label}`);
 
   console.log(`OK: vendor-mappings.json validation passed`);
   console.log(`    ${mappedSlugs.size} vendors mapped`);
-  console.log(`    ${withG2} with G2, ${withCapterra} with Capterra`);
+  if (perSource.length) console.log(`    ${perSource.join(', ')}`);
 }
 
 validate();
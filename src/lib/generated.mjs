@@ -0,0 +1,134 @@
+/**
+ * Generated content lookups for pages
+ *
+ * Reads the GENERATE agent output in data/generated/ and exposes
+ * per-page lookups. Files are loaded through import.meta.glob so a
+ * content type that has never been generated simply yields no entries
+ * instead of breaking the build.
+ */
+
+const files = import.meta.glob('../../data/generated/*.json', {
+  eager: true,
+  import: 'default',
+});
+
+/**
+ * Get all entries for a generated content file (e.g. "comparisons")
+ * @param {string} type
+ * @returns {Record<string, any>}
+ */
+function loadGenerated(type) {
+  return files[`../../data/generated/${type}.json`] || {};
+}
+
+function hasContent(version) {
+  return typeof version?.content === 'string' && version.content.trim().length > 0;
+}
+
+/**
+ * The human-approved version of an entry, if any.
+ *
+ * Drafts and rejected entries are never rendered; when a newer draft is
+ * waiting for review, the previously approved version (lastApproved) is
+ * rendered in its place.
+ */
+function usable(entry) {
+  if (!entry) return null;
+  if (entry.status === 'approved') return hasContent(entry) ? entry : null;
+  return hasContent(entry.lastApproved) ? entry.lastApproved : null;
+}
+
+/**
+ * Comparison narrative for a pair, regardless of URL ordering
+ * (the agent stores keys alphabetically; pages exist for both a-vs-b and b-vs-a)
+ */
+export function getComparison(slugA, slugB) {
+  const comparisons = loadGenerated('comparisons');
+  return usable(comparisons[`${slugA}-vs-${slugB}`]) || usable(comparisons[`${slugB}-vs-${slugA}`]);
+}
+
+/**
+ * Alternatives intro for a software slug
+ */
+export function getAlternativesIntro(slug) {
+  return usable(loadGenerated('alternatives')[slug]);
+}
+
+/**
+ * Enhanced vendor summary for a software slug
+ */
+export function getVendorSummary(slug) {
+  return usable(loadGenerated('vendor-summaries')[slug]);
+}
+
+/**
+ * Intro for a persona landing page (/for/[persona])
+ */
+export function getPersonaIntro(personaSlug) {
+  return usable(loadGenerated('persona-intros')[personaSlug]);
+}
+
+/**
+ * Approved FAQ for a software slug, with its structured question/answer pairs
+ */
+export function getVendorFaqs(slug) {
+  const version = usable(loadGenerated('faqs')[slug]);
+  return version?.faqs?.length ? version : null;
+}
+
+function escapeHtml(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function formatInline(text) {
+  return escapeHtml(text).replace(/\*\*(.+?)\*\*/g, '<strong>$1</strong>');
+}
+
+const BULLET = /^\s*(?:[•*-]|\d+\.)\s+/;
+
+/**
+ * Render generated text to HTML.
+ *
+ * Model output is plain text with **bold** labels and bullet lines, so only
+ * that subset is supported. Everything is HTML-escaped first; the only markup
+ * in the result is what this function adds.
+ */
+export function renderGeneratedContent(content) {
+  const blocks = content.trim().split(/\n\s*\n/);
+  const html = [];
+
+  for (const block of blocks) {
+    const lines = block.split('\n').map((l) => l.trim()).filter(Boolean);
+    let paragraph = [];
+    let list = [];
+
+    const flushParagraph = () => {
+      if (paragraph.length) html.push(`<p>${paragraph.map(formatInline).join('<br />')}</p>`);
+      paragraph = [];
+    };
+    const flushList = () => {
+      if (list.length) html.push(`<ul>${list.map((item) => `<li>${formatInline(item)}</li>`).join('')}</ul>`);
+      list = [];
+    };
+
+    for (const line of lines) {
+      if (BULLET.test(line)) {
+        flushParagraph();
+        list.push(line.replace(BULLET, ''));
+      } else {
+        flushList();
+        paragraph.push(line);
+      }
+    }
+
+    flushParagraph();
+    flushList();
+  }
+
+  return html.join('\n');
+}
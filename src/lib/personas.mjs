@@ -0,0 +1,123 @@
+/**
+ * Persona matching and ranking
+ *
+ * Personas (data/personas/personas.json) describe concrete clinic profiles.
+ * Each one has filter rules that decide which products are listed on its
+ * /for/[persona] page and ranking preferences that order them. Shared with
+ * the GENERATE agent so persona intros describe the same products the page
+ * lists.
+ *
+ * Filter rules (all optional, all must pass):
+ *   software_type              - product type is one of these
+ *   ketamine_features_all      - every listed ketamine feature is available
+ *   ketamine_features_any      - at least one listed ketamine feature is available
+ *   pricing_model              - pricing model is one of these
+ *   max_starting_price         - starting price at or below this (quote-only products pass)
+ *   general_feature_categories - at least one available feature in each category
+ *
+ * Ranking preferences (all optional):
+ *   ketamine_features - 10 points per available feature
+ *   software_type     - 10 points for the first type listed, 5 for the others
+ *   pricing_model     - 5 points for a listed model
+ * Review scores (0-5, confidence-adjusted) are added last to break ties.
+ */
+
+import { rankingScore } from './review-scoring.mjs';
+
+export const FEATURE_LABELS = {
+  iv_protocols: 'IV protocols',
+  im_protocols: 'IM protocols',
+  outcome_tracking: 'Outcome tracking',
+  spravato_workflows: 'SPRAVATO workflows',
+  patient_rating_scales: 'Rating scales',
+  ketamine_consent_forms: 'Consent forms',
+  treatment_series_tracking: 'Series tracking',
+};
+
+const TYPE_LABELS = {
+  ketamine_specific: 'Ketamine-specific',
+  ketamine_compatible: 'Ketamine-compatible',
+  general_ehr: 'General EHR',
+};
+
+const PRICING_MODEL_LABELS = {
+  per_clinician: 'Per-clinician pricing',
+  flat: 'Flat-rate pricing',
+  custom: 'Custom pricing',
+};
+
+/**
+ * Whether a product passes a persona's filter rules
+ */
+export function matchesPersona(software, persona) {
+  const filters = persona.filters || {};
+  const features = software.ketamine_features || {};
+
+  if (filters.software_type && !filters.software_type.includes(software.software_type)) return false;
+  if (filters.ketamine_features_all && !filters.ketamine_features_all.every((f) => features[f])) return false;
+  if (filters.ketamine_features_any && !filters.ketamine_features_any.some((f) => features[f])) return false;
+  if (filters.pricing_model && !filters.pricing_model.includes(software.pricing?.model)) return false;
+
+  const price = software.pricing?.starting_price;
+  if (typeof filters.max_starting_price === 'number' && price !== null && price > filters.max_starting_price) {
+    return false;
+  }
+
+  if (filters.general_feature_categories) {
+    const categories = new Set((software.general_features || []).filter((f) => f.available).map((f) => f.category));
+    if (!filters.general_feature_categories.every((c) => categories.has(c))) return false;
+  }
+
+  return true;
+}
+
+/**
+ * Score a matching product for a persona
+ *
+ * @returns {{ score: number, reasons: string[] }}
+ */
+export function scoreForPersona(software, persona, reviews = null) {
+  const ranking = persona.ranking || {};
+  const reasons = [];
+  let score = 0;
+
+  for (const feature of ranking.ketamine_features || []) {
+    if (software.ketamine_features?.[feature]) {
+      score += 10;
+      reasons.push(FEATURE_LABELS[feature] || feature);
+    }
+  }
+
+  const typeIndex = (ranking.software_type || []).indexOf(software.software_type);
+  if (typeIndex !== -1) {
+    score += typeIndex === 0 ? 10 : 5;
+    reasons.push(TYPE_LABELS[software.software_type]);
+  }
+
+  if ((ranking.pricing_model || []).includes(software.pricing?.model)) {
+    score += 5;
+    reasons.push(PRICING_MODEL_LABELS[software.pricing.model]);
+  }
+
+  const reviewScore = rankingScore(reviews);
+  if (reviewScore !== null) {
+    score += reviewScore;
+  }
+
+  return { score, reasons };
+}
+
+/**
+ * Products matching a persona, best fit first
+ *
+ * @param {object} persona
+ * @param {object[]} allSoftware
+ * @param {Record<string, object>} [reviews] - Aggregated reviews keyed by slug
+ * @returns {{ software: object, score: number, reasons: string[] }[]}
+ */
+export function rankForPersona(persona, allSoftware, reviews = {}) {
+  return allSoftware
+    .filter((s) => matchesPersona(s, persona))
+    .map((s) => ({ software: s, ...scoreForPersona(s, persona, reviews[s.slug]) }))
+    .sort((a, b) => b.score - a.score || a.software.name.localeCompare(b.software.name));
+}
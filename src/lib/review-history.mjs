@@ -0,0 +1,69 @@
+/**
+ * Review score history lookups and trend chart geometry
+ *
+ * scripts/aggregate-reviews.mjs appends one point per run to
+ * data/reviews/history/<slug>.json:
+ *   { vendor, points: [{ date, aggregateScore, totalCount, sources: { <source>: { score, count } } }] }
+ *
+ * Files are loaded through import.meta.glob so vendors without history
+ * (or a repo without any) simply get an empty series.
+ */
+
+const files = import.meta.glob('../../data/reviews/history/*.json', {
+  eager: true,
+  import: 'default',
+});
+
+/**
+ * History points for a vendor, oldest first
+ * @param {string} slug
+ * @returns {{ date: string, aggregateScore: number|null, totalCount: number, sources: Record<string, { score: number, count: number }> }[]}
+ */
+export function getReviewHistory(slug) {
+  const points = files[`../../data/reviews/history/${slug}.json`]?.points || [];
+  return [...points].sort((a, b) => a.date.localeCompare(b.date));
+}
+
+/**
+ * Aggregate score over time (points without a score are skipped)
+ */
+export function aggregateSeries(points) {
+  return points
+    .filter((p) => typeof p.aggregateScore === 'number')
+    .map((p) => ({ date: p.date, value: p.aggregateScore }));
+}
+
+/**
+ * One series per source for a metric ('score' or 'count')
+ * @returns {Record<string, { date: string, value: number }[]>}
+ */
+export function sourceSeries(points, metric) {
+  const series = {};
+  for (const point of points) {
+    for (const [source, values] of Object.entries(point.sources || {})) {
+      if (typeof values?.[metric] !== 'number') continue;
+      (series[source] ||= []).push({ date: point.date, value: values[metric] });
+    }
+  }
+  return series;
+}
+
+/**
+ * SVG polyline points for a series scaled into a width x height box.
+ * Dates are spaced by actual time, not by index, so gaps between runs show.
+ *
+ * @param {{ date: string, value: number }[]} series
+ * @param {{ width: number, height: number, min: number, max: number, start: number, end: number, padding?: number }} box
+ *   start/end are the time range (ms) shared by every series in the chart
+ */
+export function polylinePoints(series, { width, height, min, max, start, end, padding = 2 }) {
+  const spanX = end - start || 1;
+  const spanY = max - min || 1;
+  return series
+    .map(({ date, value }) => {
+      const x = padding + ((Date.parse(date) - start) / spanX) * (width - padding * 2);
+      const y = height - padding - ((value - min) / spanY) * (height - padding * 2);
+      return `${x.toFixed(1)},${y.toFixed(1)}`;
+    })
+    .join(' ');
+}
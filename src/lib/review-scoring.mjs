@@ -0,0 +1,127 @@
+/**
+ * Confidence-adjusted review scoring
+ *
+ * A plain count-weighted mean lets 3 five-star reviews outrank 900 reviews
+ * at 4.6. The adjusted score shrinks each vendor's raw mean toward a prior:
+ *
+ *   adjusted = (priorWeight * priorMean + count * rawScore) / (priorWeight + count)
+ *
+ * so a vendor behaves as if it also had `priorWeight` reviews at the prior
+ * mean. Vendors with few reviews land near the prior; vendors with many keep
+ * roughly their raw score.
+ *
+ * Config (data/reviews/scoring-config.json):
+ *   priorWeight          - Pseudo-review count given to the prior
+ *   priorMean            - Fixed prior mean, or null to use the category mean
+ *   fallbackMean         - Prior when no vendor has reviews yet
+ *   minCategoryVendors   - Reviewed vendors a software_type needs before its own
+ *                          mean is used; smaller categories use the overall mean
+ *   confidenceThresholds - Minimum share of weight from real reviews,
+ *                          count / (count + priorWeight), for high/medium
+ */
+
+/**
+ * Where a vendor's prior mean came from (stored as `priorSource`), worded to
+ * read "adjusted toward <label> of 4.3"
+ */
+export const PRIOR_SOURCES = {
+  category: 'its category average',
+  overall: 'the average across all rated products',
+  fixed: 'a fixed baseline',
+  fallback: 'the default baseline',
+};
+
+export const CONFIDENCE_LABELS = {
+  high: 'High confidence',
+  medium: 'Medium confidence',
+  low: 'Low confidence',
+};
+
+const round1 = (n) => Math.round(n * 10) / 10;
+// Adjusted scores keep two decimals so rankings don't tie on display rounding
+const round2 = (n) => Math.round(n * 100) / 100;
+
+function mean(values) {
+  return values.length ? values.reduce((sum, v) => sum + v, 0) / values.length : null;
+}
+
+/**
+ * Prior mean per software_type from vendors' raw scores
+ *
+ * @param {Record<string, { aggregateScore: number|null }>} reviews - Keyed by vendor slug
+ * @param {Record<string, string|undefined>} softwareTypes - Vendor slug -> software_type
+ * @param {object} config
+ * @returns {{ overall: number, overallSource: 'overall'|'fixed'|'fallback', byCategory: Record<string, number> }}
+ */
+export function categoryPriors(reviews, softwareTypes, config) {
+  const scored = Object.entries(reviews).filter(([, r]) => typeof r?.aggregateScore === 'number');
+  const fixed = config.priorMean !== null && config.priorMean !== undefined;
+  const scoredMean = mean(scored.map(([, r]) => r.aggregateScore));
+  const overall = fixed ? config.priorMean : scoredMean ?? config.fallbackMean;
+  const overallSource = fixed ? 'fixed' : scoredMean !== null ? 'overall' : 'fallback';
+
+  const byCategory = {};
+  if (!fixed) {
+    const grouped = {};
+    for (const [slug, r] of scored) {
+      const category = softwareTypes[slug];
+      if (category) (grouped[category] ||= []).push(r.aggregateScore);
+    }
+    for (const [category, scores] of Object.entries(grouped)) {
+      if (scores.length >= config.minCategoryVendors) byCategory[category] = round1(mean(scores));
+    }
+  }
+
+  return { overall: round1(overall), overallSource, byCategory };
+}
+
+/**
+ * Prior for one vendor: its category mean when there is one, else the overall prior
+ * @returns {{ priorMean: number, priorSource: string }} priorSource is a PRIOR_SOURCES key
+ */
+export function priorFor(priors, category) {
+  const categoryMean = priors.byCategory[category];
+  return categoryMean !== undefined
+    ? { priorMean: categoryMean, priorSource: 'category' }
+    : { priorMean: priors.overall, priorSource: priors.overallSource };
+}
+
+/**
+ * Confidence level for a review count
+ * @returns {'high'|'medium'|'low'|null} null when there are no reviews
+ */
+export function confidenceLevel(count, config) {
+  if (!count) return null;
+  const share = count / (count + config.priorWeight);
+  if (share >= config.confidenceThresholds.high) return 'high';
+  if (share >= config.confidenceThresholds.medium) return 'medium';
+  return 'low';
+}
+
+/**
+ * Shrink a raw score toward the prior
+ *
+ * @param {string|null} [priorSource] - PRIOR_SOURCES key describing priorMean
+ * @returns {{ adjustedScore: number|null, confidence: string|null, priorMean: number|null, priorSource: string|null }}
+ */
+export function adjustScore(rawScore, count, priorMean, config, priorSource = null) {
+  if (typeof rawScore !== 'number' || !count) {
+    return { adjustedScore: null, confidence: null, priorMean: null, priorSource: null };
+  }
+  const adjusted = (config.priorWeight * priorMean + count * rawScore) / (config.priorWeight + count);
+  return {
+    adjustedScore: round2(adjusted),
+    confidence: confidenceLevel(count, config),
+    priorMean,
+    priorSource,
+  };
+}
+
+/**
+ * Score to rank by: adjusted when present, raw otherwise
+ */
+export function rankingScore(reviews) {
+  if (typeof reviews?.adjustedScore === 'number') return reviews.adjustedScore;
+  if (typeof reviews?.aggregateScore === 'number') return reviews.aggregateScore;
+  return null;
+}
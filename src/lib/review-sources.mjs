@@ -0,0 +1,202 @@
+/**
+ * Review source adapters
+ *
+ * One entry per review platform. The aggregator (scripts/aggregate-reviews.mjs)
+ * reads each adapter's raw file, pulls the platform slug out of each item,
+ * maps it to a vendor via data/reviews/vendor-mappings.json and reads the
+ * score/count through the adapter's field lists. Validators and components
+ * use the same registry for allowed source keys and display labels.
+ *
+ * Adapter shape:
+ *   key          - Source key used in vendor-mappings.json and aggregated-reviews.json
+ *   label        - Display name
+ *   rawFile      - Raw scrape/export file in data/reviews/
+ *   host         - Expected host of mapped review URLs (null = any)
+ *   urlFields    - Item fields that may hold the product URL, in priority order
+ *   extractSlug  - Product URL -> platform slug (null if not a product URL)
+ *   scoreFields  - Item fields that may hold the 0-5 rating, in priority order
+ *   countFields  - Item fields that may hold the review count, in priority order
+ *   reviewUrl    - Optional platform slug -> reviews URL, used when the vendor
+ *                  mapping has no URL (defaults to the item's own URL)
+ *   direct       - Items name our vendor slug directly (no mapping lookup)
+ *   reviewFields - Optional overrides of REVIEW_RECORD_FIELDS for individual
+ *                  review records nested in each item
+ *   subRatingFields - Optional overrides of SUB_RATING_FIELDS
+ *   subRatingScale  - Scale the platform reports sub-ratings on (default 5);
+ *                     values are normalized to 0-5
+ */
+
+/**
+ * Sub-rating dimensions aggregated alongside the overall score
+ */
+export const SUB_RATING_DIMENSIONS = {
+  ease_of_use: 'Ease of use',
+  support: 'Customer support',
+  value: 'Value for money',
+  features: 'Features',
+};
+
+/**
+ * Item fields that may hold each sub-rating, in priority order
+ */
+export const SUB_RATING_FIELDS = {
+  ease_of_use: ['easeOfUse', 'easeOfUseRating', 'ease_of_use'],
+  support: ['customerService', 'customerServiceRating', 'qualityOfSupport', 'support'],
+  value: ['valueForMoney', 'valueForMoneyRating', 'value'],
+  features: ['functionality', 'functionalityRating', 'features', 'meetsRequirements'],
+};
+
+/**
+ * Where individual review records live on a raw item, and which fields hold
+ * each value (first present field wins). Reviewer names are never read.
+ */
+export const REVIEW_RECORD_FIELDS = {
+  list: ['reviews', 'reviewList'],
+  title: ['title', 'reviewTitle', 'headline'],
+  text: ['text', 'reviewText', 'body', 'comments', 'pros'],
+  date: ['date', 'reviewDate', 'publishedAt', 'submittedAt'],
+  role: ['reviewerRole', 'reviewerTitle', 'jobTitle', 'role'],
+  rating: ['rating', 'overallRating', 'score', 'stars'],
+};
+
+export const REVIEW_SOURCES = {
+  g2: {
+    key: 'g2',
+    label: 'G2',
+    rawFile: 'g2-raw.json',
+    host: 'g2.com',
+    urlFields: ['productUrl', 'url'],
+    extractSlug: (url) => url.match(/g2\.com\/products\/([^/?#]+)/)?.[1] ?? null,
+    scoreFields: ['rating', 'overallRating'],
+    countFields: ['reviewCount', 'totalReviews'],
+    reviewUrl: (slug) => `https://www.g2.com/products/${slug}/reviews`,
+    reviewFields: { text: ['text', 'reviewText', 'love', 'body'] },
+    // G2 reports sub-scores out of 10
+    subRatingScale: 10,
+  },
+  capterra: {
+    key: 'capterra',
+    label: 'Capterra',
+    rawFile: 'capterra-raw.json',
+    host: 'capterra.com',
+    urlFields: ['url', 'productUrl'],
+    extractSlug: (url) => url.match(/capterra\.com\/p\/\d+\/([^/?#]+)/)?.[1]?.toLowerCase() ?? null,
+    scoreFields: ['overallRating', 'rating'],
+    countFields: ['reviewCount', 'totalReviews'],
+  },
+  softwareadvice: {
+    key: 'softwareadvice',
+    label: 'Software Advice',
+    rawFile: 'softwareadvice-raw.json',
+    host: 'softwareadvice.com',
+    urlFields: ['url', 'productUrl'],
+    extractSlug: (url) => url.match(/softwareadvice\.com\/[^/]+\/([^/?#]+?)-profile/)?.[1]?.toLowerCase() ?? null,
+    scoreFields: ['overallRating', 'rating'],
+    countFields: ['reviewCount', 'totalReviews'],
+  },
+  getapp: {
+    key: 'getapp',
+    label: 'GetApp',
+    rawFile: 'getapp-raw.json',
+    host: 'getapp.com',
+    urlFields: ['url', 'productUrl'],
+    extractSlug: (url) => url.match(/getapp\.com\/[^/]+\/a\/([^/?#]+)/)?.[1]?.toLowerCase() ?? null,
+    scoreFields: ['overallRating', 'rating'],
+    countFields: ['reviewCount', 'totalReviews'],
+  },
+  trustpilot: {
+    key: 'trustpilot',
+    label: 'Trustpilot',
+    rawFile: 'trustpilot-raw.json',
+    host: 'trustpilot.com',
+    urlFields: ['url', 'companyUrl'],
+    extractSlug: (url) => url.match(/trustpilot\.com\/review\/([^/?#]+)/)?.[1]?.toLowerCase() ?? null,
+    scoreFields: ['trustScore', 'rating', 'score'],
+    countFields: ['numberOfReviews', 'reviewCount', 'totalReviews'],
+  },
+  manual: {
+    key: 'manual',
+    label: 'Other sources',
+    rawFile: 'manual-reviews.json',
+    host: null,
+    // Hand-entered items: { vendor, score, count, url, note }
+    direct: true,
+    urlFields: ['url'],
+    extractSlug: () => null,
+    scoreFields: ['score'],
+    countFields: ['count'],
+  },
+};
+
+export const REVIEW_SOURCE_KEYS = Object.keys(REVIEW_SOURCES);
+
+/**
+ * Display label for a source key (falls back to the key itself)
+ */
+export function sourceLabel(key) {
+  return REVIEW_SOURCES[key]?.label || key;
+}
+
+function firstField(item, fields) {
+  for (const field of fields) {
+    if (item?.[field] !== undefined && item?.[field] !== null) return item[field];
+  }
+  return undefined;
+}
+
+/**
+ * Sub-ratings present on an item, normalized to 0-5 and rounded to 0.1
+ */
+function readSubRatings(adapter, item) {
+  const fields = { ...SUB_RATING_FIELDS, ...adapter.subRatingFields };
+  const scale = adapter.subRatingScale || 5;
+  const subRatings = {};
+
+  for (const dimension of Object.keys(SUB_RATING_DIMENSIONS)) {
+    const value = Number(firstField(item, fields[dimension] || []));
+    if (!Number.isFinite(value) || value <= 0 || value > scale) continue;
+    subRatings[dimension] = Math.round((value / scale) * 5 * 10) / 10;
+  }
+  return subRatings;
+}
+
+/**
+ * Read one raw item through an adapter
+ *
+ * @returns {{ platformSlug: string|null, url: string, score: any, count: any, subRatings: Record<string, number> }}
+ *   platformSlug is our vendor slug for direct sources
+ */
+export function readItem(adapter, item) {
+  const url = firstField(item, adapter.urlFields) || '';
+  const platformSlug = adapter.direct ? item?.vendor ?? null : adapter.extractSlug(url);
+  const score = firstField(item, adapter.scoreFields);
+  const count = firstField(item, adapter.countFields) ?? 0;
+  const subRatings = readSubRatings(adapter, item);
+
+  return { platformSlug, url, score, count, subRatings };
+}
+
+/**
+ * Individual review records nested in one raw item, normalized
+ *
+ * @returns {{ title: string, text: string, date: string|null, role: string|null, rating: number|null }[]}
+ */
+export function readReviews(adapter, item) {
+  const fields = { ...REVIEW_RECORD_FIELDS, ...adapter.reviewFields };
+  const list = firstField(item, fields.list);
+  if (!Array.isArray(list)) return [];
+
+  return list
+    .map((record) => {
+      const rating = Number(firstField(record, fields.rating));
+      const date = String(firstField(record, fields.date) || '').slice(0, 10);
+      return {
+        title: String(firstField(record, fields.title) || '').trim(),
+        text: String(firstField(record, fields.text) || '').trim(),
+        date: /^\d{4}-\d{2}-\d{2}$/.test(date) ? date : null,
+        role: String(firstField(record, fields.role) || '').trim() || null,
+        rating: Number.isFinite(rating) && rating >= 0 && rating <= 5 ? rating : null,
+      };
+    })
+    .filter((record) => record.text || record.title);
+}
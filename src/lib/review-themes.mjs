@@ -0,0 +1,118 @@
+/**
+ * Review theme tagging and snippet selection
+ *
+ * Individual reviews from the raw scrape files are tagged with
+ * ketamine-clinic themes by keyword rules, cut down to a short quote and
+ * curated per vendor. Used by scripts/aggregate-reviews.mjs (--snippets) to
+ * write data/reviews/review-snippets.json and by the reviews page for
+ * filter labels.
+ *
+ * Theme rules:
+ *   label    - Filter button text
+ *   keywords - Phrases matched case-insensitively on word boundaries
+ */
+
+export const REVIEW_THEMES = {
+  billing: {
+    label: 'Billing',
+    keywords: ['billing', 'claims', 'claim', 'insurance', 'superbill', 'clearinghouse', 'reimbursement', 'invoicing', 'denials'],
+  },
+  spravato_rems: {
+    label: 'SPRAVATO/REMS',
+    keywords: ['spravato', 'esketamine', 'rems', 'monitoring form', 'patient monitoring'],
+  },
+  infusion_charting: {
+    label: 'Infusion charting',
+    keywords: ['infusion', 'infusions', 'iv', 'dosing', 'dose', 'vitals', 'charting', 'flowsheet', 'session notes'],
+  },
+  support: {
+    label: 'Support',
+    keywords: ['support', 'customer service', 'help desk', 'onboarding', 'training', 'response time', 'responsive'],
+  },
+  pricing: {
+    label: 'Pricing',
+    keywords: ['price', 'pricing', 'cost', 'costs', 'expensive', 'affordable', 'subscription', 'fees', 'value for money'],
+  },
+  ease_of_use: {
+    label: 'Ease of use',
+    keywords: ['easy to use', 'user friendly', 'user-friendly', 'intuitive', 'learning curve', 'clunky', 'interface'],
+  },
+};
+
+export const REVIEW_THEME_KEYS = Object.keys(REVIEW_THEMES);
+
+// Longest snippet we quote, in characters
+export const SNIPPET_MAX_LENGTH = 220;
+
+function escapeRegex(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+const THEME_PATTERNS = Object.fromEntries(
+  Object.entries(REVIEW_THEMES).map(([key, theme]) => [
+    key,
+    new RegExp(`\\b(?:${theme.keywords.map(escapeRegex).join('|')})\\b`, 'i'),
+  ])
+);
+
+/**
+ * Themes mentioned in a piece of text
+ * @returns {string[]} Theme keys in REVIEW_THEMES order
+ */
+export function classifyText(text) {
+  if (!text) return [];
+  return REVIEW_THEME_KEYS.filter((key) => THEME_PATTERNS[key].test(text));
+}
+
+function truncate(text, max) {
+  if (text.length <= max) return text;
+  const cut = text.slice(0, max - 1);
+  return `${cut.slice(0, cut.lastIndexOf(' ') > 0 ? cut.lastIndexOf(' ') : cut.length).replace(/[\s,;:]+$/, '')}…`;
+}
+
+/**
+ * Short quote for a review: the first sentence that mentions a theme,
+ * otherwise the opening sentence, trimmed to SNIPPET_MAX_LENGTH
+ *
+ * @returns {{ quote: string, themes: string[] }}
+ */
+export function extractSnippet(review) {
+  const text = (review.text || '').replace(/\s+/g, ' ').trim();
+  const sentences = text.match(/[^.!?]+[.!?]*/g)?.map((s) => s.trim()).filter(Boolean) || [];
+  const themed = sentences.find((s) => classifyText(s).length > 0);
+  const quote = truncate(themed || sentences[0] || review.title || '', SNIPPET_MAX_LENGTH);
+
+  // Tag with themes from the whole review, not just the quoted sentence
+  const themes = classifyText(`${review.title || ''} ${text}`);
+  return { quote, themes };
+}
+
+/**
+ * Pick a small, varied set of snippets for one vendor
+ *
+ * Themed snippets come first, taken round-robin across themes so one topic
+ * doesn't crowd out the rest; newer reviews win within a theme.
+ *
+ * @param {object[]} snippets - { quote, themes, date, ... }
+ * @param {number} limit
+ */
+export function curateSnippets(snippets, limit = 12) {
+  const usable = snippets
+    .filter((s) => s.quote && s.quote.length >= 20)
+    .sort((a, b) => (b.date || '').localeCompare(a.date || ''));
+
+  const picked = new Set();
+  const queues = REVIEW_THEME_KEYS.map((key) => usable.filter((s) => s.themes.includes(key)));
+  while (picked.size < limit && queues.some((q) => q.length > 0)) {
+    for (const queue of queues) {
+      while (queue.length > 0 && picked.has(queue[0])) queue.shift();
+      if (queue.length > 0 && picked.size < limit) picked.add(queue.shift());
+    }
+  }
+  for (const snippet of usable) {
+    if (picked.size >= limit) break;
+    picked.add(snippet);
+  }
+
+  return [...picked].sort((a, b) => (b.date || '').localeCompare(a.date || ''));
+}
@@ -0,0 +1,147 @@
+/**
+ * Vendor similarity scoring
+ *
+ * Scores how close a substitute one product is for another, using the
+ * software JSON only. Shared by the GENERATE agent (alternatives and
+ * competitors in prompts) and the /software/[slug]/alternatives page, so
+ * the products a prompt describes are the same ones the page lists.
+ *
+ * Plain JS with no Astro or Node imports so both can load it.
+ */
+
+/**
+ * Relative weight of each signal (sums to 1)
+ */
+export const SIMILARITY_WEIGHTS = {
+  softwareType: 0.3,
+  ketamineFeatures: 0.3,
+  pricing: 0.15,
+  generalFeatures: 0.15,
+  integrations: 0.1,
+};
+
+// Classification order, so ketamine_specific is closer to ketamine_compatible than to general_ehr
+const TYPE_ORDER = ['ketamine_specific', 'ketamine_compatible', 'general_ehr'];
+
+const TYPE_LABELS = {
+  ketamine_specific: 'ketamine-specific',
+  ketamine_compatible: 'ketamine-compatible',
+  general_ehr: 'general EHR',
+};
+
+const PRICING_MODEL_LABELS = {
+  per_clinician: 'per-clinician',
+  flat: 'flat-rate',
+  custom: 'custom',
+};
+
+// Starting price per month. Labels carry no dollar amounts because reasons
+// are fed into prompts, and fact grounding rejects prices not in the data.
+const PRICE_BANDS = [
+  { max: 0, label: 'free tier' },
+  { max: 99, label: 'budget' },
+  { max: 249, label: 'mid-range' },
+  { max: Infinity, label: 'premium' },
+];
+
+/**
+ * Jaccard overlap of two sets; `empty` is returned when both are empty
+ */
+function overlap(a, b, empty = 0) {
+  if (a.size === 0 && b.size === 0) return empty;
+  const shared = [...a].filter((x) => b.has(x)).length;
+  return shared / (a.size + b.size - shared);
+}
+
+function priceBand(pricing) {
+  if (pricing?.starting_price === null || pricing?.starting_price === undefined) return 'quote-based';
+  return PRICE_BANDS.find((band) => pricing.starting_price <= band.max).label;
+}
+
+function enabledKetamineFeatures(software) {
+  return new Set(Object.entries(software.ketamine_features || {}).filter(([, on]) => on).map(([key]) => key));
+}
+
+function availableFeatures(software) {
+  return new Set(
+    (software.general_features || [])
+      .filter((f) => f.available)
+      .map((f) => `${f.category}/${f.feature}`.toLowerCase())
+  );
+}
+
+function integrationSet(software) {
+  return new Set((software.integrations || []).map((i) => i.toLowerCase()));
+}
+
+/**
+ * Score how similar `b` is to `a`
+ *
+ * @returns {{ score: number, reasons: string[], breakdown: Record<string, number> }}
+ *   score is 0-100; reasons are short phrases for display, in signal order
+ */
+export function scoreSimilarity(a, b) {
+  const breakdown = {};
+  const reasons = [];
+
+  // Software type
+  const typeA = TYPE_ORDER.indexOf(a.software_type);
+  const typeB = TYPE_ORDER.indexOf(b.software_type);
+  if (typeA === -1 || typeB === -1) {
+    breakdown.softwareType = 0;
+  } else {
+    breakdown.softwareType = [1, 0.5, 0][Math.abs(typeA - typeB)];
+    if (typeA === typeB) reasons.push(`Both ${TYPE_LABELS[a.software_type]}`);
+  }
+
+  // Ketamine features (two products with none are alike in that respect)
+  const ketA = enabledKetamineFeatures(a);
+  const ketB = enabledKetamineFeatures(b);
+  breakdown.ketamineFeatures = overlap(ketA, ketB, 1);
+  const sharedKetamine = [...ketA].filter((k) => ketB.has(k)).length;
+  if (sharedKetamine > 0) {
+    reasons.push(`${sharedKetamine} shared ketamine feature${sharedKetamine === 1 ? '' : 's'}`);
+  }
+
+  // Pricing model and price band
+  const sameModel = a.pricing?.model === b.pricing?.model;
+  const band = priceBand(a.pricing);
+  const sameBand = band === priceBand(b.pricing);
+  breakdown.pricing = (sameModel ? 0.5 : 0) + (sameBand ? 0.5 : 0);
+  if (sameModel) reasons.push(`Same ${PRICING_MODEL_LABELS[a.pricing.model] || a.pricing.model} pricing`);
+  if (sameBand) reasons.push(`Same price band (${band})`);
+
+  // General features
+  breakdown.generalFeatures = overlap(availableFeatures(a), availableFeatures(b));
+  if (breakdown.generalFeatures >= 0.5) reasons.push('Overlapping practice features');
+
+  // Integrations
+  const intA = integrationSet(a);
+  const intB = integrationSet(b);
+  breakdown.integrations = overlap(intA, intB);
+  const sharedIntegrations = (b.integrations || []).filter((i) => intA.has(i.toLowerCase()));
+  if (sharedIntegrations.length > 0) {
+    reasons.push(`Shared integrations: ${sharedIntegrations.slice(0, 3).join(', ')}`);
+  }
+
+  const score = Object.entries(SIMILARITY_WEIGHTS)
+    .reduce((sum, [signal, weight]) => sum + weight * breakdown[signal], 0);
+
+  return { score: Math.round(score * 100), reasons, breakdown };
+}
+
+/**
+ * Other products ranked by similarity to `software`, closest first
+ *
+ * @param {object} software - Product to find substitutes for
+ * @param {object[]} allSoftware - Candidate pool (may include `software` itself)
+ * @param {number} [limit] - Maximum results
+ * @returns {{ software: object, score: number, reasons: string[], breakdown: Record<string, number> }[]}
+ */
+export function rankAlternatives(software, allSoftware, limit = Infinity) {
+  return allSoftware
+    .filter((s) => s.slug !== software.slug)
+    .map((s) => ({ software: s, ...scoreSimilarity(software, s) }))
+    .sort((x, y) => y.score - x.score || x.software.name.localeCompare(y.software.name))
+    .slice(0, limit);
+}